@@ -0,0 +1,41 @@
+// Imported into the generated Workbox service worker (see vite.config.js).
+// The app writes each parent's reminder settings to the "reminders" cache;
+// periodic background sync uses them to remind while the app is closed.
+const REMINDER_CACHE = "reminders";
+const REMINDER_KEY = "/__reminders";
+
+const localISO = (d) =>
+  new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+
+async function dailyReminder() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const res = await cache.match(REMINDER_KEY);
+  if (!res) return;
+  const state = await res.json();
+  const now = new Date();
+  const today = localISO(now);
+  const hhmm = now.toTimeString().slice(0, 5);
+  const s = state.settings || {};
+  if (!s.enabled || !s.daily || hhmm < s.dailyTime || state.lastDaily === today) return;
+  // the app records when every child has an entry for the day
+  if (s.onlyIfEmpty && state.allLogged === today) return;
+  await self.registration.showNotification("Time to log today's behaviors", {
+    body: "Take a minute to fill in today's tracker.",
+    tag: "daily-reminder",
+    icon: "icon-192.png",
+  });
+  await cache.put(REMINDER_KEY, new Response(JSON.stringify({ ...state, lastDaily: today })));
+}
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "daily-reminder") event.waitUntil(dailyReminder());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((list) =>
+      list.length ? list[0].focus() : self.clients.openWindow("./")
+    )
+  );
+});
@@ -1,21 +1,21 @@
-import React, { useEffect, useMemo, useState } from "react";
-// Firebase (v9+ modular)
-import { initializeApp } from "firebase/app";
+import React, {
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
 import {
-  getAuth,
-  onAuthStateChanged,
-  signInWithEmailAndPassword,
-  createUserWithEmailAndPassword,
-  sendPasswordResetEmail,
-  signOut,
-} from "firebase/auth";
-import {
-  getFirestore,
-  doc,
-  setDoc,
-  onSnapshot,
-  collection,
-} from "firebase/firestore";
+  createStore,
+  deleteField,
+  arrayUnion,
+  arrayRemove,
+  hasCloudConfig,
+  hasLocalData,
+  createLocalStore,
+  localUser,
+  switchStorageMode,
+} from "./store";
 import {
   PieChart,
   Pie,
@@ -23,28 +23,57 @@ import {
   Tooltip,
   Legend,
   ResponsiveContainer,
-  BarChart,
+  ComposedChart,
   Bar,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
 } from "recharts";
+import dejavuSansUrl from "dejavu-fonts-ttf/ttf/DejaVuSans.ttf?url";
+import dejavuSansBoldUrl from "dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf?url";
 
 /******************************
- * Firebase Setup
+ * Data store
  ******************************/
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FB_API_KEY,
-  authDomain: import.meta.env.VITE_FB_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_FB_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_FB_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_FB_MSG_SENDER_ID,
-  appId: import.meta.env.VITE_FB_APP_ID,
-};
+// Firestore (or its emulators) for cloud accounts, IndexedDB for families
+// using the app on this device only; picked at startup, see ./store. Watches
+// without their own error handler report through the sync indicator.
+const store = createStore({ onError: (e) => reportError(e) });
+
+/******************************
+ * Sync status
+ ******************************/
+// Cloud write promises only settle once the server acknowledges them, so
+// counting unsettled ones tells us what is still queued locally.
+let syncState = { pending: 0, error: null, online: navigator.onLine };
+const syncListeners = new Set();
+
+function setSync(patch) {
+  syncState = { ...syncState, ...patch(syncState) };
+  syncListeners.forEach((l) => l());
+}
+
+function trackWrite(promise) {
+  setSync((s) => ({ pending: s.pending + 1 }));
+  promise.then(
+    () => setSync((s) => ({ pending: s.pending - 1, error: null })),
+    (e) => setSync((s) => ({ pending: s.pending - 1, error: e.message }))
+  );
+  return promise;
+}
+
+// Failures outside a tracked write (cache, background jobs) show up the same way.
+const reportError = (e) => setSync(() => ({ error: e.message }));
+
+window.addEventListener("online", () => setSync(() => ({ online: true })));
+window.addEventListener("offline", () => setSync(() => ({ online: false })));
 
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
+const subscribeSync = (l) => {
+  syncListeners.add(l);
+  return () => syncListeners.delete(l);
+};
+const useSyncStatus = () => useSyncExternalStore(subscribeSync, () => syncState);
 
 // ====== Utils ======
 const fmtDate = (d) =>
@@ -52,11 +81,160 @@ const fmtDate = (d) =>
     .toISOString()
     .slice(0, 10);
 const todayStr = () => fmtDate(new Date());
-const weekday = (iso) =>
-  ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"][new Date(iso).getDay()];
+const weekdayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+// parsed as local midnight; new Date(iso) is UTC and shifts the day west of it
+const weekday = (iso) => weekdayNames[parseISO(iso).getDay()];
 const uidLocal = () => Math.random().toString(36).slice(2, 9);
 const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
 
+// --- Behavior scoring ---
+// Behaviors without weight/min/max score like the original -1..1 tally.
+// `type` picks what the stored value measures; `weight` turns it into points:
+// per tap, per yes, per count, per rating step above 3 or per `per` minutes.
+const measureTypes = {
+  tally: "−/+ tally",
+  yesno: "Yes / no",
+  counter: "Counter",
+  rating: "Rating 1–5",
+  duration: "Minutes",
+};
+const behaviorType = (b) => (measureTypes[b?.type] ? b.type : "tally");
+const behaviorWeight = (b) => b?.weight ?? 1;
+const minutesPer = (b) => b?.per || 10;
+function behaviorRange(b) {
+  const type = behaviorType(b);
+  if (type === "yesno") return { min: 0, max: 1 };
+  if (type === "rating") return { min: 0, max: 5 }; // 0 = not rated
+  if (type === "counter") return { min: 0, max: b?.max ?? 20 };
+  if (type === "duration") return { min: 0, max: b?.max ?? 240 };
+  return { min: b?.min ?? -1, max: b?.max ?? 1 };
+}
+function itemPoints(b, val) {
+  const v = val || 0;
+  const type = behaviorType(b);
+  if (type === "rating") return v ? (v - 3) * behaviorWeight(b) : 0;
+  if (type === "duration") return Math.floor(v / minutesPer(b)) * behaviorWeight(b);
+  return v * behaviorWeight(b);
+}
+// whether a day's value counts as "done" for streaks and day-count badges
+const itemMet = (b, val) =>
+  behaviorType(b) === "tally" ? (val || 0) > 0 : itemPoints(b, val) > 0;
+
+const fmtMinutes = (m) =>
+  m >= 60 ? `${Math.floor(m / 60)} h${m % 60 ? ` ${m % 60} min` : ""}` : `${m} min`;
+// One day's raw value as the parent entered it.
+function fmtMeasure(b, val) {
+  const v = val || 0;
+  const type = behaviorType(b);
+  if (type === "yesno") return v ? "Yes" : "No";
+  if (type === "counter") return `${v}×`;
+  if (type === "rating") return v ? `${v}/5` : "–";
+  if (type === "duration") return fmtMinutes(v);
+  return String(v);
+}
+// A period's raw total ({sum, days} from periodStatsFrom); tallies have none.
+function fmtRawTotal(b, raw) {
+  if (!raw) return "";
+  const type = behaviorType(b);
+  if (type === "yesno") return `${raw.days} day${raw.days === 1 ? "" : "s"}`;
+  if (type === "counter") return `${raw.sum} time${raw.sum === 1 ? "" : "s"}`;
+  if (type === "rating") return raw.days ? `avg ${(raw.sum / raw.days).toFixed(1)}/5` : "";
+  if (type === "duration") return fmtMinutes(raw.sum);
+  return "";
+}
+// Term schedules get the family's school terms attached so isDue needs no
+// other context; behaviors scored per day part get the number of parts.
+const behaviorMap = (behaviors, terms = [], dayParts = []) =>
+  Object.fromEntries(
+    behaviors.map((b) => {
+      let out = b;
+      if (b.schedule?.type === "term") out = { ...out, schedule: { ...b.schedule, terms } };
+      if (b.byPart && dayParts.length) out = { ...out, partCount: dayParts.length };
+      return [b.id, out];
+    })
+  );
+
+// --- Day parts ---
+// profile.dayParts: [{ id, label, start: "HH:MM" }]. A behavior with `byPart`
+// is scored once per part in entry.parts[partId][behaviorId]; entry.items
+// keeps the day's combined value so totals work as before.
+const defaultDayParts = [
+  { id: "morning", label: "Morning", start: "06:00" },
+  { id: "afternoon", label: "Afternoon", start: "12:00" },
+  { id: "evening", label: "Evening", start: "17:00" },
+];
+const getDayParts = (profile) =>
+  (profile.dayParts || []).slice().sort((a, b) => a.start.localeCompare(b.start));
+
+// the part a clock time falls in; before the first start counts as the first
+function currentDayPart(parts, now = new Date()) {
+  const hhmm = now.toTimeString().slice(0, 5);
+  return parts.filter((p) => p.start <= hhmm).pop() || parts[0] || null;
+}
+
+// Ratings average over the rated parts; everything else adds up.
+function combineParts(b, parts, behaviorId) {
+  const vals = Object.values(parts || {}).map((p) => p?.[behaviorId] || 0);
+  if (behaviorType(b) !== "rating") return vals.reduce((a, v) => a + v, 0);
+  const rated = vals.filter(Boolean);
+  return rated.length ? Math.round(rated.reduce((a, v) => a + v, 0) / rated.length) : 0;
+}
+
+// Points scored in each day part over [start, end], in total and per
+// behavior; whole-day behaviors aren't included.
+function dayPartBreakdown(days, byId, parts, { start, end }) {
+  const totals = Object.fromEntries(parts.map((p) => [p.id, 0]));
+  const byBehavior = {}; // behaviorId -> partId -> points
+  Object.entries(days).forEach(([iso, day]) => {
+    if (iso < start || iso > end) return;
+    Object.entries(day.parts || {}).forEach(([pid, items]) => {
+      if (!(pid in totals)) return;
+      Object.entries(items || {}).forEach(([bid, val]) => {
+        if (!countsOn(byId[bid], iso, day)) return;
+        const pts = itemPoints(byId[bid], val);
+        totals[pid] += pts;
+        byBehavior[bid] ||= {};
+        byBehavior[bid][pid] = (byBehavior[bid][pid] || 0) + pts;
+      });
+    });
+  });
+  return { totals, byBehavior };
+}
+
+// Highest value a whole day can hold (every part at its maximum).
+const dayMax = (b) =>
+  behaviorRange(b).max * (b?.partCount && behaviorType(b) !== "rating" ? b.partCount : 1);
+
+// --- Schedules ---
+// behavior.schedule: { type, days?, start?, end? }; no schedule means daily.
+// An entry's `na` map marks behaviors skipped as "not applicable" that day.
+const scheduleTypes = {
+  daily: "Every day",
+  weekdays: "Weekdays",
+  days: "Specific days",
+  range: "Date range",
+  term: "School term",
+};
+function isDue(b, iso) {
+  const s = b?.schedule;
+  if (!s || s.type === "daily") return true;
+  const wd = parseISO(iso).getDay();
+  const weekdayOnly = wd > 0 && wd < 6;
+  if (s.type === "weekdays") return weekdayOnly;
+  if (s.type === "days") return (s.days || []).includes(wd);
+  if (s.type === "range") return (!s.start || iso >= s.start) && (!s.end || iso <= s.end);
+  if (s.type === "term")
+    return weekdayOnly && (s.terms || []).some((t) => iso >= t.start && iso <= t.end);
+  return true;
+}
+// Whether a behavior's score counts towards totals on a day ({items, na}).
+const countsOn = (b, iso, day) => !day?.na?.[b?.id] && isDue(b, iso);
+const dayPoints = (day, iso, byId) =>
+  Object.entries(day?.items || {}).reduce(
+    (a, [bid, val]) => a + (countsOn(byId[bid], iso, day) ? itemPoints(byId[bid], val) : 0),
+    0
+  );
+
 // --- Period helpers ---
 const parseISO = (iso) => new Date(`${iso}T00:00:00`);
 const toISO = (d) =>
@@ -112,29 +290,276 @@ function eachDayISO(startISO, endISO) {
   return out;
 }
 
-// --- CSV builder & download ---
-function buildCSV({ label, childName, behaviors, byBehavior, dailySeries }) {
-  const lines = [];
-  lines.push(`Report,${label}`);
-  lines.push(`Child,${childName}`);
-  lines.push("");
-
-  // Behavior totals
-  lines.push("Behavior,Total");
-  behaviors.forEach((b) => {
-    lines.push(`"${b.label.replace(/"/g, '""')}",${byBehavior[b.id] || 0}`);
+// --- Rollups ---
+// users/{uid}/rollups/{childId}_{YYYY-MM} holds { childId, month, days } where
+// days maps each ISO date to that day's { items }. saveItem keeps them current
+// so period views read at most 12 small docs instead of every entry.
+const monthKey = (iso) => iso.slice(0, 7);
+const rollupId = (childId, iso) => `${childId}_${monthKey(iso)}`;
+
+function eachMonthKey(startISO, endISO) {
+  const out = [];
+  let [y, m] = startISO.slice(0, 7).split("-").map(Number);
+  const last = monthKey(endISO);
+  for (;;) {
+    const key = `${y}-${String(m).padStart(2, "0")}`;
+    out.push(key);
+    if (key >= last) return out;
+    if (++m > 12) {
+      m = 1;
+      y++;
+    }
+  }
+}
+
+// Totals for a window from { [dateISO]: { items } }.
+function periodStatsFrom(days, byId, { start, end, label }) {
+  const stat = { total: 0, byBehavior: {}, raw: {}, label };
+  const perDay = {}; // dateISO -> total
+
+  Object.entries(days).forEach(([iso, day]) => {
+    if (iso < start || iso > end) return;
+    const daySum = dayPoints(day, iso, byId);
+    stat.total += daySum;
+
+    Object.entries(day.items || {}).forEach(([bid, val]) => {
+      if (!countsOn(byId[bid], iso, day)) return;
+      stat.byBehavior[bid] =
+        (stat.byBehavior[bid] || 0) + itemPoints(byId[bid], val);
+      // raw measurements: the sum and the days with a non-zero value
+      const raw = (stat.raw[bid] ||= { sum: 0, days: 0 });
+      raw.sum += val || 0;
+      if (val) raw.days += 1;
+    });
+
+    perDay[iso] = (perDay[iso] || 0) + daySum;
+  });
+
+  const series = eachDayISO(start, end).map((iso) => ({
+    date: iso.slice(5), // MM-DD for chart axis
+    dateFull: iso, // full ISO for CSV
+    total: perDay[iso] || 0,
+  }));
+
+  return { stat, series };
+}
+
+// Filters for one child's entries (or incidents) inside [start, end] (needs
+// the childId+date index in Firestore).
+const entriesInRange = (childId, start, end) => [
+  ["childId", "==", childId],
+  ["date", ">=", start],
+  ["date", "<=", end],
+];
+
+// Live { [dateISO]: { items } } for a child. Reads the monthly rollups once
+// they exist, otherwise falls back to a range query on entries.
+function subscribePeriodDays(uid, childId, start, end, fromRollups, onDays) {
+  if (!fromRollups) {
+    return store.watchList(`users/${uid}/entries`, entriesInRange(childId, start, end), (docs) => {
+      const out = {};
+      docs.forEach(({ data: en }) => {
+        out[en.date] = { items: en.items || {}, na: en.na || {}, parts: en.parts || {} };
+      });
+      onDays(out);
+    });
+  }
+
+  const months = {};
+  const unsubs = eachMonthKey(start, end).map((m) =>
+    store.watch(`users/${uid}/rollups/${childId}_${m}`, (data) => {
+      months[m] = data?.days || {};
+      const out = {};
+      Object.values(months).forEach((md) =>
+        Object.entries(md).forEach(([iso, day]) => {
+          if (iso >= start && iso <= end) out[iso] = day;
+        })
+      );
+      onDays(out);
+    })
+  );
+  return () => unsubs.forEach((u) => u());
+}
+
+function usePeriodDays(uid, childId, start, end, fromRollups) {
+  const [days, setDays] = useState({});
+
+  useEffect(() => {
+    if (!childId) return;
+    return subscribePeriodDays(uid, childId, start, end, fromRollups, setDays);
+  }, [uid, childId, start, end, fromRollups]);
+
+  return days;
+}
+
+// Same as usePeriodDays for several children: {childId: {date: {items}}}.
+function useFamilyPeriodDays(uid, childIds, start, end, fromRollups) {
+  const [days, setDays] = useState({});
+  const key = childIds.join(",");
+
+  useEffect(() => {
+    const ids = key ? key.split(",") : [];
+    const unsubs = ids.map((id) =>
+      subscribePeriodDays(uid, id, start, end, fromRollups, (out) =>
+        setDays((prev) => ({ ...prev, [id]: out }))
+      )
+    );
+    return () => unsubs.forEach((u) => u());
+  }, [uid, key, start, end, fromRollups]);
+
+  return days;
+}
+
+// Builds rollups from existing entries (accounts created before rollups).
+async function backfillRollups(uid) {
+  const docs = await store.list(`users/${uid}/entries`);
+  const rollups = {};
+  docs.forEach(({ data: en }) => {
+    if (!en.childId || !en.date) return;
+    const id = rollupId(en.childId, en.date);
+    rollups[id] ||= { childId: en.childId, month: monthKey(en.date), days: {} };
+    rollups[id].days[en.date] = { items: en.items || {}, na: en.na || {}, parts: en.parts || {} };
   });
 
-  lines.push("");
+  let batch = store.batch();
+  let n = 0;
+  for (const [id, data] of Object.entries(rollups)) {
+    batch.set(`users/${uid}/rollups/${id}`, data);
+    if (++n % 400 === 0) {
+      await batch.commit();
+      batch = store.batch();
+    }
+  }
+  batch.set(`users/${uid}`, { rollupVersion: 1 }, { merge: true });
+  await batch.commit();
+}
+
+// --- CSV builder & download ---
+// RFC 4180 quoting, CRLF line ends and a UTF-8 BOM so spreadsheet apps open
+// the files with the right columns and encoding.
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const toCSV = (rows) =>
+  "\uFEFF" + rows.map((r) => r.map(csvCell).join(",")).join("\r\n");
+
+const behaviorLabel = (byId, id) => byId[id]?.label || `(deleted behavior ${id})`;
+
+// Listed behaviors first, then any others that scored in the data (deleted
+// behaviors or ones no longer on the child's list).
+function exportBehaviorIds(behaviors, days) {
+  const ids = behaviors.map((b) => b.id);
+  const seen = new Set(ids);
+  days.forEach((d) =>
+    Object.keys(d.items || {}).forEach((id) => {
+      if (seen.has(id)) return;
+      seen.add(id);
+      ids.push(id);
+    })
+  );
+  return ids;
+}
+
+function buildCSV({ label, childName, behaviors, byBehavior, raw = {}, dailySeries, byId }) {
+  const rows = [["Report", label], ["Child", childName], []];
+
+  // Behavior totals, with the raw measurement for non-tally behaviors
+  rows.push(["Behavior", "Total", "Measured"]);
+  const listed = new Set(behaviors.map((b) => b.id));
+  behaviors.forEach((b) =>
+    rows.push([b.label, byBehavior[b.id] || 0, fmtRawTotal(b, raw[b.id])])
+  );
+  Object.entries(byBehavior)
+    .filter(([id, v]) => !listed.has(id) && v)
+    .forEach(([id, v]) =>
+      rows.push([behaviorLabel(byId, id), v, fmtRawTotal(byId[id], raw[id])])
+    );
+
+  rows.push([]);
   // Daily totals
-  lines.push("Date,Total");
-  dailySeries.forEach((d) => lines.push(`${d.dateFull},${d.total}`));
+  rows.push(["Date", "Total"]);
+  dailySeries.forEach((d) => rows.push([d.dateFull, d.total]));
+
+  return rows;
+}
+
+// One row per child / date / behavior.
+function buildLongCSV({ days, childName, byId }) {
+  const rows = [["Child", "Date", "Weekday", "Category", "Behavior", "Value", "Points"]];
+  days.forEach((d) =>
+    Object.entries(d.items || {}).forEach(([bid, val]) =>
+      rows.push([
+        childName(d.childId),
+        d.date,
+        weekday(d.date),
+        byId[bid] ? behaviorCategory(byId[bid]) : "",
+        behaviorLabel(byId, bid),
+        d.na?.[bid] ? "N/A" : val || 0,
+        countsOn(byId[bid], d.date, d) ? itemPoints(byId[bid], val) : 0,
+      ])
+    )
+  );
+  return rows;
+}
+
+// Dates × behaviors matrix per child; unlogged days are left blank.
+function buildWideCSV({ days, children, behaviorsFor, byId, start, end, values }) {
+  const behaviorIds = exportBehaviorIds(
+    children.flatMap((c) => behaviorsFor(c.id)).filter(
+      (b, i, all) => all.findIndex((x) => x.id === b.id) === i
+    ),
+    days
+  );
+  const rows = [
+    ["Child", "Date", ...behaviorIds.map((id) => behaviorLabel(byId, id)), "Total points"],
+  ];
+  const byKey = new Map(days.map((d) => [`${d.childId}_${d.date}`, d]));
+  children.forEach((c) =>
+    eachDayISO(start, end).forEach((iso) => {
+      const d = byKey.get(`${c.id}_${iso}`);
+      rows.push([
+        c.name,
+        iso,
+        ...behaviorIds.map((id) => {
+          if (d?.na?.[id]) return "N/A";
+          if (!d || d.items?.[id] === undefined) return "";
+          return values === "points" ? itemPoints(byId[id], d.items[id]) : d.items[id];
+        }),
+        d ? dayPoints(d, iso, byId) : "",
+      ]);
+    })
+  );
+  return rows;
+}
+
+async function fetchEntries(fid, childIds, start, end) {
+  const out = [];
+  for (const childId of childIds) {
+    const docs = await store.list(`users/${fid}/entries`, entriesInRange(childId, start, end));
+    docs.forEach((d) => out.push(d.data));
+  }
+  return out.sort(
+    (a, b) => a.childId.localeCompare(b.childId) || a.date.localeCompare(b.date)
+  );
+}
 
-  return lines.join("\n");
+function buildLedgerCSV({ childName, rows }) {
+  const out = [["Points Ledger", childName], [], ["Date", "Type", "Description", "Points", "Balance"]];
+  // rows arrive newest first; the running balance is built oldest first
+  let bal = 0;
+  const lines = rows
+    .slice()
+    .reverse()
+    .map((r) => {
+      bal += r.points || 0;
+      return [r.date, r.type, ledgerLabel(r), r.points || 0, bal];
+    });
+  return toCSV([...out, ...lines.reverse()]);
 }
 
-function downloadTextFile(name, text) {
-  const blob = new Blob([text], { type: "text/csv;charset=utf-8" });
+function downloadTextFile(name, text, type = "text/csv;charset=utf-8") {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -145,119 +570,3992 @@ function downloadTextFile(name, text) {
   URL.revokeObjectURL(url);
 }
 
+// ====== Backup / restore ======
+const backupFormat = "kids-behavior-tracker-backup";
+const backupVersion = 1;
+const backupCollections = ["entries", "ledger", "events", "incidents"];
+// account-specific or derived profile fields that don't travel with a backup
+const backupOmitKeys = [
+  "email",
+  "members",
+  "familyId",
+  "ledgerVersion",
+  "rollupVersion",
+  "parentPinHash", // salted with the family id, so useless elsewhere
+  "notifications",
+];
+// what a "replace" restore keeps of the current profile
+const accountKeys = ["email", "members", "familyId", "notifications"];
+const isoDateRe = /^\d{4}-\d{2}-\d{2}$/;
+
+// `src` is the store to read from (the on-device one when moving to the cloud).
+async function buildBackup(fid, profile, src = store) {
+  const collections = {};
+  for (const name of backupCollections) {
+    collections[name] = await src.list(`users/${fid}/${name}`);
+  }
+  return {
+    format: backupFormat,
+    version: backupVersion,
+    exportedAt: new Date().toISOString(),
+    profile: Object.fromEntries(
+      Object.entries(profile).filter(([k]) => !backupOmitKeys.includes(k))
+    ),
+    collections,
+  };
+}
+
+function validateBackup(b) {
+  if (!b || typeof b !== "object") return ["The file is not a JSON object."];
+  const errors = [];
+  if (b.format !== backupFormat) errors.push("This is not a Kids Behavior Tracker backup.");
+  if (typeof b.version !== "number" || b.version > backupVersion)
+    errors.push(`Unsupported backup version: ${b.version}.`);
+
+  const p = b.profile;
+  if (!p || !Array.isArray(p.children) || !Array.isArray(p.behaviors)) {
+    errors.push("The backup has no children or behaviors.");
+  } else {
+    if (p.children.some((c) => !c?.id || typeof c.name !== "string"))
+      errors.push("A child is missing its id or name.");
+    if (p.behaviors.some((x) => !x?.id || typeof x.label !== "string"))
+      errors.push("A behavior is missing its id or label.");
+  }
+
+  const cols = b.collections || {};
+  backupCollections.forEach((name) => {
+    const rows = cols[name] ?? [];
+    if (!Array.isArray(rows) || rows.some((r) => !r?.id || typeof r.data !== "object"))
+      errors.push(`The "${name}" section is malformed.`);
+  });
+  const badEntries = (Array.isArray(cols.entries) ? cols.entries : []).filter(
+    (r) => !r?.data?.childId || !isoDateRe.test(r?.data?.date || "")
+  ).length;
+  if (badEntries) errors.push(`${badEntries} entries have no child or a bad date.`);
+  return errors;
+}
+
+// Imported ids are kept when the target already has them; otherwise children
+// and behaviors are matched by name so a backup taken in another account lands
+// on the same kids/behaviors there. Anything unmatched is added.
+function buildIdMap(incoming, existing, keyOf) {
+  const ids = new Set(existing.map((x) => x.id));
+  const byKey = new Map(existing.map((x) => [keyOf(x), x.id]));
+  const map = {};
+  const added = [];
+  incoming.forEach((x) => {
+    if (ids.has(x.id)) map[x.id] = x.id;
+    else if (byKey.has(keyOf(x))) map[x.id] = byKey.get(keyOf(x));
+    else {
+      map[x.id] = x.id;
+      added.push(x);
+    }
+  });
+  return { map, added };
+}
+
+const remapKeys = (obj, map) =>
+  obj && Object.fromEntries(Object.entries(obj).map(([k, v]) => [map[k] || k, v]));
+
+// Rewrites one backup row for the target account's child/behavior ids and
+// the importing user `uid`.
+function remapRow(name, { id, data }, cm, bm, uid) {
+  const childId = cm[data.childId] || data.childId;
+  if (name === "entries") {
+    const out = { ...data, childId, items: remapKeys(data.items, bm) || {} };
+    if (data.notes) out.notes = remapKeys(data.notes, bm);
+    if (data.na) out.na = remapKeys(data.na, bm);
+    if (data.parts)
+      out.parts = Object.fromEntries(
+        Object.entries(data.parts).map(([pid, items]) => [pid, remapKeys(items, bm)])
+      );
+    return { id: `${childId}_${data.date}`, data: out };
+  }
+  if (name === "ledger") {
+    const out = { ...data, childId };
+    return { id: data.type === "earn" ? earnLedgerId(childId, data.date) : id, data: out };
+  }
+  // events and incidents; the rules only take log rows written by the
+  // importing account, so the original author is kept aside
+  const out = { ...data, childId, behaviorId: bm[data.behaviorId] || data.behaviorId };
+  if (data.by !== uid) Object.assign(out, { by: uid, importedBy: data.importedBy || data.by });
+  return { id, data: out };
+}
+
+// Score events and incidents may only have their notes and similar fields
+// edited once written (see firestore.rules), so rows already present are
+// updated with just these.
+const logEditableFields = {
+  events: ["note", "undone"],
+  incidents: [
+    "at",
+    "date",
+    "behaviorId",
+    "antecedent",
+    "description",
+    "consequence",
+    "intensity",
+    "minutes",
+  ],
+};
+
+async function planImport(fid, uid, profile, backup, mode) {
+  const key = (s) => s.trim().toLowerCase();
+  const replace = mode === "replace";
+  const children = replace
+    ? { map: {}, added: backup.profile.children }
+    : buildIdMap(backup.profile.children, profile.children, (c) => key(c.name));
+  const behaviors = replace
+    ? { map: {}, added: backup.profile.behaviors }
+    : buildIdMap(backup.profile.behaviors, profile.behaviors, (b) => key(b.label));
+
+  const rows = {};
+  const counts = {};
+  const existing = {};
+  for (const name of backupCollections) {
+    const docs = await store.list(`users/${fid}/${name}`);
+    existing[name] = new Set(docs.map((d) => d.id));
+    rows[name] = (backup.collections?.[name] || []).map((r) =>
+      remapRow(name, r, children.map, behaviors.map, uid)
+    );
+    counts[name] = {
+      total: rows[name].length,
+      overwrite: replace ? 0 : rows[name].filter((r) => existing[name].has(r.id)).length,
+    };
+  }
+  const photos = rows.entries.reduce((a, r) => a + (r.data.photos?.length || 0), 0);
+  return { mode, uid, children, behaviors, rows, existing, counts, photos };
+}
+
+// What firestore.rules would reject in a plan, checked before anything is
+// written so a restore can't stop halfway.
+function importProblems(plan) {
+  const problems = [];
+  backupCollections.forEach((name) => {
+    const bad = plan.rows[name].filter((r) => typeof r.id !== "string" || r.id.includes("/"));
+    if (bad.length) problems.push(`${bad.length} ${name} rows have an invalid id.`);
+  });
+  ["events", "incidents"].forEach((name) => {
+    const bad = plan.rows[name].filter(
+      (r) => !plan.existing[name].has(r.id) && r.data.by !== plan.uid
+    );
+    if (bad.length) problems.push(`${bad.length} ${name} rows belong to another account.`);
+  });
+  const badLedger = plan.rows.ledger.filter(
+    (r) => !r.data.childId || (r.data.type === "earn" && !isoDateRe.test(r.data.date || ""))
+  );
+  if (badLedger.length) problems.push(`${badLedger.length} points rows have no child or date.`);
+  return problems;
+}
+
+// New rows are written first; "replace" only then deletes what the backup
+// doesn't have, so a failed import never leaves the family with less data.
+async function applyImport(fid, profile, backup, plan) {
+  const problems = importProblems(plan);
+  if (problems.length) throw new Error(problems.join(" "));
+
+  let batch = store.batch();
+  let n = 0;
+  const flush = async () => {
+    if (++n % 400 === 0) {
+      await batch.commit();
+      batch = store.batch();
+    }
+  };
+
+  for (const name of backupCollections) {
+    for (const r of plan.rows[name]) {
+      const path = `users/${fid}/${name}/${r.id}`;
+      if (name in logEditableFields && plan.existing[name].has(r.id)) {
+        const patch = Object.fromEntries(
+          logEditableFields[name].filter((k) => k in r.data).map((k) => [k, r.data[k]])
+        );
+        if (Object.keys(patch).length) batch.set(path, patch, { merge: true });
+      } else {
+        // merging a day keeps scores for behaviors the backup doesn't mention
+        batch.set(path, r.data, { merge: plan.mode === "merge" && name === "entries" });
+      }
+      await flush();
+    }
+  }
+
+  if (plan.mode === "replace") {
+    for (const name of [...backupCollections, "rollups", "requests"]) {
+      const keep = new Set((plan.rows[name] || []).map((r) => r.id));
+      const docs = await store.list(`users/${fid}/${name}`);
+      for (const d of docs) {
+        if (keep.has(d.id)) continue;
+        batch.remove(`users/${fid}/${name}/${d.id}`);
+        await flush();
+      }
+    }
+  }
+
+  const imported = Object.fromEntries(
+    Object.entries(backup.profile).filter(([k]) => !backupOmitKeys.includes(k))
+  );
+  const next =
+    plan.mode === "replace"
+      ? imported
+      : {
+          children: [...profile.children, ...plan.children.added],
+          behaviors: [...profile.behaviors, ...plan.behaviors.added],
+          rewardTiers: profile.rewardTiers || imported.rewardTiers,
+          schoolTerms: profile.schoolTerms || imported.schoolTerms,
+          dayParts: profile.dayParts || imported.dayParts,
+          achievementRules:
+            profile.achievementRules ||
+            (imported.achievementRules || []).map((r) => ({
+              ...r,
+              behaviorId: plan.behaviors.map[r.behaviorId] || r.behaviorId,
+            })),
+          rewards: [
+            ...(profile.rewards || []),
+            ...(imported.rewards || []).filter(
+              (r) => !(profile.rewards || []).some((x) => x.label === r.label)
+            ),
+          ],
+        };
+  // rollups and daily earn rows are rebuilt from the imported entries
+  const data = JSON.parse(JSON.stringify(next));
+  if (plan.mode === "replace") {
+    // nothing of the old profile survives except the account itself
+    accountKeys.forEach((k) => {
+      if (k in profile) data[k] = profile[k];
+    });
+    batch.set(`users/${fid}`, data);
+  } else {
+    batch.set(
+      `users/${fid}`,
+      { ...data, ledgerVersion: deleteField(), rollupVersion: deleteField() },
+      { merge: true }
+    );
+  }
+  await batch.commit();
+}
+
+// Copies a tracker kept on this device into the signed-in family, the same
+// way a merge restore would. Local photos are data URLs and get uploaded.
+// Every row keeps its id, so running it again after a failure just rewrites
+// the same documents.
+async function importLocalData(fid, uid, profile) {
+  const local = createLocalStore();
+  let backup;
+  try {
+    const localProfile = await local.get(`users/${localUser.uid}`);
+    if (!localProfile) return;
+    backup = await buildBackup(localUser.uid, localProfile, local);
+  } finally {
+    local.close();
+  }
+  // everything on the device was logged by the person now importing it
+  for (const name of ["events", "incidents"]) {
+    backup.collections[name] = backup.collections[name].map((r) => ({
+      ...r,
+      data: { ...r.data, by: uid },
+    }));
+  }
+  for (const row of backup.collections.entries) {
+    if (!row.data.photos?.length) continue;
+    const photos = [];
+    for (const p of row.data.photos) {
+      if (!p.url.startsWith("data:")) {
+        photos.push(p);
+        continue;
+      }
+      const path = p.path.replace(`users/${localUser.uid}/`, `users/${fid}/`);
+      const blob = await (await fetch(p.url)).blob();
+      photos.push({ ...p, path, url: await store.upload(path, blob) });
+    }
+    row.data = { ...row.data, photos };
+  }
+  const plan = await planImport(fid, uid, profile, backup, "merge");
+  await applyImport(fid, profile, backup, plan);
+}
+
+// ====== Permanent delete ======
+// Archiving is the everyday way out; these remove a child or behavior and
+// every record that refers to it.
+const recordLabels = {
+  entries: "days of scores",
+  events: "score changes",
+  ledger: "points rows",
+  rollups: "monthly summaries",
+  requests: "kid-mode requests",
+  incidents: "incidents",
+  photos: "photos",
+};
+const childCollections = ["entries", "events", "ledger", "rollups", "requests", "incidents"];
+
+const describeRecords = (records) =>
+  Object.entries(records)
+    .filter(([, ids]) => ids.length)
+    .map(([name, ids]) => `${ids.length} ${recordLabels[name]}`)
+    .join(", ") || "no records";
+
+const countRecords = (records) =>
+  Object.values(records).reduce((a, ids) => a + ids.length, 0);
+
+async function writeInBatches(ops) {
+  for (let i = 0; i < ops.length; i += 400) {
+    const batch = store.batch();
+    ops.slice(i, i + 400).forEach((op) => op(batch));
+    await batch.commit();
+  }
+}
+
+// { collection: [doc ids], photos: [storage paths] }
+async function childRecords(fid, childId) {
+  const out = { photos: [] };
+  for (const name of childCollections) {
+    const docs = await store.list(`users/${fid}/${name}`, [["childId", "==", childId]]);
+    out[name] = docs.map((d) => d.id);
+    if (name === "entries")
+      docs.forEach((d) => (d.data.photos || []).forEach((p) => out.photos.push(p.path)));
+  }
+  return out;
+}
+
+// Photos go first: while the entries still list them, a failed delete can be
+// retried. One already gone (an earlier attempt) counts as deleted.
+async function deleteChildForever(fid, records) {
+  const results = await Promise.allSettled(records.photos.map((p) => store.removeFile(p)));
+  const failed = results.filter(
+    (r) => r.status === "rejected" && r.reason?.code !== "storage/object-not-found"
+  );
+  if (failed.length)
+    throw new Error(
+      `${failed.length} of ${records.photos.length} photos couldn't be deleted ` +
+        `(${failed[0].reason.message}). The records were kept, so you can try again.`
+    );
+  await writeInBatches(
+    childCollections.flatMap((name) =>
+      records[name].map((id) => (batch) => batch.remove(`users/${fid}/${name}/${id}`))
+    )
+  );
+}
+
+// Entries only lose the behavior's fields and incidents their link to it;
+// its events and requests go.
+// Also returns the day parts (`partIds`) the behavior was scored in.
+async function behaviorRecords(fid, behaviorId) {
+  const partIds = new Set();
+  const entries = (await store.list(`users/${fid}/entries`)).filter(({ data }) => {
+    const parts = Object.entries(data.parts || {}).filter(([, items]) => behaviorId in items);
+    parts.forEach(([pid]) => partIds.add(pid));
+    return parts.length || ["items", "na", "notes"].some((k) => data[k] && behaviorId in data[k]);
+  });
+  const byBehavior = [["behaviorId", "==", behaviorId]];
+  const events = await store.list(`users/${fid}/events`, byBehavior);
+  const requests = await store.list(`users/${fid}/requests`, byBehavior);
+  const incidents = await store.list(`users/${fid}/incidents`, byBehavior);
+  return {
+    records: {
+      entries: entries.map((d) => d.id),
+      events: events.map((d) => d.id),
+      requests: requests.map((d) => d.id),
+      incidents: incidents.map((d) => d.id),
+    },
+    partIds: [...partIds],
+  };
+}
+
+async function deleteBehaviorForever(fid, behaviorId, records, partIds) {
+  const cleared = {
+    [`items.${behaviorId}`]: deleteField(),
+    [`na.${behaviorId}`]: deleteField(),
+    [`notes.${behaviorId}`]: deleteField(),
+    ...Object.fromEntries(partIds.map((pid) => [`parts.${pid}.${behaviorId}`, deleteField()])),
+  };
+  await writeInBatches([
+    ...records.entries.map((id) => (batch) => batch.update(`users/${fid}/entries/${id}`, cleared)),
+    ...records.events.map((id) => (batch) => batch.remove(`users/${fid}/events/${id}`)),
+    ...records.requests.map((id) => (batch) => batch.remove(`users/${fid}/requests/${id}`)),
+    // incidents stay in the log, just no longer tied to the behavior
+    ...records.incidents.map(
+      (id) => (batch) => batch.update(`users/${fid}/incidents/${id}`, { behaviorId: deleteField() })
+    ),
+  ]);
+}
+
+// ====== PDF report ======
+// Built entirely in the browser: charts are rasterized from the on-screen
+// recharts SVGs and everything else is drawn with jsPDF (loaded on demand).
+
+// The standard PDF fonts only cover Latin-1, so DejaVu Sans is embedded for
+// Greek, Cyrillic and the rest of its range. Characters it lacks (emoji, CJK)
+// are dropped; letters among them are collected in `dropped` for a warning.
+const pdfFontFiles = { normal: dejavuSansUrl, bold: dejavuSansBoldUrl };
+
+async function addPdfFont(pdf) {
+  for (const [style, url] of Object.entries(pdfFontFiles)) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Font download failed (${res.status})`);
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    let bin = "";
+    for (let i = 0; i < bytes.length; i += 0x8000)
+      bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    pdf.addFileToVFS(`DejaVuSans-${style}.ttf`, btoa(bin));
+    pdf.addFont(`DejaVuSans-${style}.ttf`, "DejaVuSans", style);
+  }
+}
+
+const pdfText = (s, hasGlyph, dropped) =>
+  [...String(s ?? "").replace(/→/g, "to").replace(/[‘’]/g, "'").replace(/[“”]/g, '"')]
+    .filter((ch) => {
+      if (hasGlyph(ch.codePointAt(0))) return true;
+      if (/[\p{L}\p{N}]/u.test(ch)) dropped.add(ch);
+      return false;
+    })
+    .join("")
+    .trim();
+
+async function svgToPng(svg) {
+  if (!svg) return null;
+  const { width, height } = svg.getBoundingClientRect();
+  if (!width || !height) return null;
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  const url = URL.createObjectURL(
+    new Blob([new XMLSerializer().serializeToString(clone)], {
+      type: "image/svg+xml",
+    })
+  );
+  try {
+    const img = new Image();
+    await new Promise((resolve, reject) => {
+      img.onload = resolve;
+      img.onerror = reject;
+      img.src = url;
+    });
+    const scale = 2;
+    const canvas = document.createElement("canvas");
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0, width, height);
+    return { data: canvas.toDataURL("image/png"), width, height };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+const hexToRgb = (hex) => {
+  const n = parseInt(hex.replace("#", ""), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+async function buildReportPDF({
+  childName,
+  label,
+  total,
+  tier,
+  barPng,
+  piePng,
+  pieData,
+  behaviors,
+  byBehavior,
+  raw = {},
+  notes,
+}) {
+  const { jsPDF } = await import("jspdf");
+  const pdf = new jsPDF({ unit: "mm", format: "a4" });
+  let font = "DejaVuSans";
+  let hasGlyph;
+  try {
+    await addPdfFont(pdf);
+    pdf.setFont(font, "normal");
+    const codeMap = pdf.getFont().metadata.cmap.unicode.codeMap;
+    hasGlyph = (c) => c >= 0x20 && !!codeMap[c];
+  } catch {
+    // e.g. offline before the font was cached
+    font = "helvetica";
+    hasGlyph = (c) => c >= 0x20 && c <= 0xff;
+  }
+  const dropped = new Set();
+  const text = (s) => pdfText(s, hasGlyph, dropped);
+  const W = pdf.internal.pageSize.getWidth();
+  const H = pdf.internal.pageSize.getHeight();
+  const M = 15;
+  let y = M;
+
+  const ensure = (h) => {
+    if (y + h > H - M) {
+      pdf.addPage();
+      y = M;
+    }
+  };
+  const write = (str, { size = 10, bold = false, color = [51, 65, 85], x = M, maxW } = {}) => {
+    pdf.setFont(font, bold ? "bold" : "normal");
+    pdf.setFontSize(size);
+    pdf.setTextColor(...color);
+    const lines = pdf.splitTextToSize(text(str), maxW || W - x - M);
+    const lh = size * 0.45;
+    ensure(lines.length * lh);
+    pdf.text(lines, x, y + lh * 0.8);
+    y += lines.length * lh + 1;
+  };
+  const heading = (str) => {
+    y += 3;
+    ensure(12);
+    write(str, { size: 13, bold: true, color: [30, 41, 59] });
+    pdf.setDrawColor(203, 213, 225);
+    pdf.line(M, y, W - M, y);
+    y += 2;
+  };
+  const image = (png, maxW, maxH) => {
+    if (!png) return;
+    const ratio = Math.min(maxW / png.width, maxH / png.height);
+    const w = png.width * ratio;
+    const h = png.height * ratio;
+    ensure(h);
+    pdf.addImage(png.data, "PNG", M, y, w, h);
+    return { w, h };
+  };
+
+  // Header
+  write("Behavior Progress Report", { size: 20, bold: true, color: [67, 56, 202] });
+  write(childName, { size: 15, bold: true, color: [30, 41, 59] });
+  write(`Period: ${label}`, { size: 11 });
+  write(`Total points: ${total}    Tier reached: ${tier ? tier.label : "none yet"}`, {
+    size: 11,
+  });
+  write(`Generated ${new Date().toLocaleDateString()}`, { size: 9, color: [100, 116, 139] });
+
+  heading("Daily totals");
+  const bar = image(barPng, W - 2 * M, 80);
+  if (bar) y += bar.h + 2;
+  else write("No chart available.");
+
+  heading("Where the points came from");
+  const pie = image(piePng, 70, 70);
+  if (pie) {
+    // recharts draws its legend as HTML, so it is redrawn next to the image
+    const top = y;
+    let ly = y + 4;
+    pieData.forEach((d) => {
+      pdf.setFillColor(...hexToRgb(d.color || "#64748B"));
+      pdf.rect(M + pie.w + 6, ly - 2.5, 3, 3, "F");
+      pdf.setFont(font, "normal");
+      pdf.setFontSize(9);
+      pdf.setTextColor(51, 65, 85);
+      pdf.text(text(`${d.name} (${d.value} pts)`), M + pie.w + 11, ly);
+      ly += 5;
+    });
+    y = Math.max(top + pie.h, ly) + 2;
+  } else {
+    write("No positive points in this period.");
+  }
+
+  heading("Behavior totals");
+  behaviors.forEach((b, i) => {
+    ensure(6);
+    if (i % 2 === 0) {
+      pdf.setFillColor(248, 250, 252);
+      pdf.rect(M, y, W - 2 * M, 6, "F");
+    }
+    const v = byBehavior[b.id] || 0;
+    const measured = fmtRawTotal(b, raw[b.id]);
+    pdf.setFont(font, "normal");
+    pdf.setFontSize(10);
+    pdf.setTextColor(51, 65, 85);
+    pdf.text(text(measured ? `${b.label} (${measured})` : b.label), M + 2, y + 4.2);
+    pdf.setTextColor(100, 116, 139);
+    pdf.text(text(behaviorCategory(b)), W - M - 45, y + 4.2);
+    pdf.setFont(font, "bold");
+    pdf.setTextColor(...(v >= 0 ? [4, 120, 87] : [190, 18, 60]));
+    pdf.text(String(v), W - M - 2, y + 4.2, { align: "right" });
+    y += 6;
+  });
+
+  heading("Parent notes");
+  if (!notes.length) write("No notes for this period.", { color: [100, 116, 139] });
+  notes.forEach((n) => {
+    write(`${n.date}${n.behavior ? ` - ${n.behavior}` : ""}`, { size: 9, bold: true });
+    write(n.text, { size: 10, x: M + 3 });
+    y += 1;
+  });
+
+  return { pdf, dropped: [...dropped] };
+}
+
 // ====== Defaults ======
 const defaultChildren = [
   { id: uidLocal(), name: "Samantha" },
   { id: uidLocal(), name: "Diya" },
 ];
 
+const defaultCategories = [
+  "Manners",
+  "Self-control",
+  "Chores",
+  "Hygiene",
+  "School",
+  "Screen time",
+];
+const uncategorized = "General";
+
 const defaultBehaviors = [
-  'Said "please & thank you"',
-  "Used kind words / thoughtful",
-  "Listened the first time",
-  "Didn't talk back",
-  "Didn't interrupt",
-  "Didn't yell or scream",
-  "Didn't whine or cry",
-  "Helped clean up",
-  "Ate meal without complaining",
-  "Brushed teeth 2×",
-  "Didn't fight/hiting",
-  "Used nice voice / good manners",
-  "Made good choices",
-  "Was a good listener",
-  "Keep the place clean",
-  "Homework / studies completed",
-  "Reading (20 min)",
-  "Screen time within limit",
-].map((label) => ({ id: uidLocal(), label, enabled: true }));
-
-const rewardTiers = [
-  { id: "bronze", label: "Bronze", min: 40, emoji: "🥉" },
-  { id: "silver", label: "Silver", min: 70, emoji: "🥈" },
-  { id: "gold", label: "Gold", min: 100, emoji: "🥇" },
+  ['Said "please & thank you"', "Manners", "🙏"],
+  ["Used kind words / thoughtful", "Manners", "💬"],
+  ["Listened the first time", "Manners", "👂"],
+  ["Didn't talk back", "Manners", "🤐"],
+  ["Didn't interrupt", "Manners", "✋"],
+  ["Didn't yell or scream", "Self-control", "🔇"],
+  ["Didn't whine or cry", "Self-control", "😌"],
+  ["Helped clean up", "Chores", "🧹"],
+  ["Ate meal without complaining", "Manners", "🍽️"],
+  ["Brushed teeth 2×", "Hygiene", "🪥"],
+  ["Didn't fight/hiting", "Self-control", "🤝"],
+  ["Used nice voice / good manners", "Manners", "🗣️"],
+  ["Made good choices", "Self-control", "✅"],
+  ["Was a good listener", "Manners", "🎧"],
+  ["Keep the place clean", "Chores", "🧺"],
+  ["Homework / studies completed", "School", "📚"],
+  ["Reading (20 min)", "School", "📖"],
+  ["Screen time within limit", "Screen time", "📱"],
+].map(([label, category, icon]) => ({
+  id: uidLocal(),
+  label,
+  enabled: true,
+  category,
+  icon,
+}));
+
+const periodModes = ["day", "week", "month", "year"];
+
+// Thresholds are per report period type; month keeps the original 40/70/100.
+const defaultRewardTiers = [
+  { id: "bronze", label: "Bronze", emoji: "🥉", min: { day: 4, week: 15, month: 40, year: 400 } },
+  { id: "silver", label: "Silver", emoji: "🥈", min: { day: 7, week: 25, month: 70, year: 700 } },
+  { id: "gold", label: "Gold", emoji: "🥇", min: { day: 10, week: 35, month: 100, year: 1000 } },
 ];
 
-// ====== Charts ======
-function MonthlyPie({ behaviors, byBehavior }) {
-  const data = behaviors
-    .map((b) => ({ name: b.label, value: Math.max(0, byBehavior[b.id] || 0) }))
-    .filter((d) => d.value > 0)
-    .sort((a, b) => b.value - a.value)
-    .slice(0, 12);
+const defaultRewards = [
+  { id: uidLocal(), label: "30 min extra screen time", emoji: "📺", cost: 15 },
+  { id: uidLocal(), label: "Pick the family movie", emoji: "🎬", cost: 20 },
+  { id: uidLocal(), label: "Trip to the park", emoji: "🛝", cost: 30 },
+];
+
+// --- Reward helpers ---
+// Older tiers stored a single `min` number that applied to every period.
+const tierMin = (t, mode) =>
+  typeof t.min === "number" ? t.min : Number(t.min?.[mode]) || 0;
+
+// Percentage tiers (`pct`) scale with the points possible in the period, so
+// the same tier means the same effort for a day, a week or a year. With
+// nothing due there is no target (null) and the tier can't be reached.
+const tierTarget = (t, mode, possible) =>
+  t.pct == null
+    ? tierMin(t, mode)
+    : possible > 0
+    ? Math.ceil((possible * t.pct) / 100)
+    : null;
+
+// Most points a child could earn in [start, end]: every behavior due that day
+// (and not marked N/A) at its maximum.
+function possiblePoints(behaviors, byId, days, start, end) {
+  let total = 0;
+  eachDayISO(start, end).forEach((iso) =>
+    behaviors.forEach((b) => {
+      if (countsOn(byId[b.id], iso, days[iso]))
+        total += Math.max(0, itemPoints(byId[b.id], dayMax(byId[b.id])));
+    })
+  );
+  return total;
+}
+
+const getTiers = (profile) => profile.rewardTiers || defaultRewardTiers;
+const getRewards = (profile) => profile.rewards || defaultRewards;
+
+// --- Per-child behavior lists ---
+// Behaviors are shared (the common base set) unless marked otherwise; a child
+// gets the base set unless `useShared` is false, plus any `behaviorIds` picked
+// for them specifically. Children without either field see every behavior.
+const isShared = (b) => b.shared !== false;
+
+function childBehaviors(profile, childId) {
+  const child = profile.children.find((c) => c.id === childId);
+  const own = new Set(child?.behaviorIds || []);
+  const useShared = child?.useShared !== false;
+  return profile.behaviors.filter(
+    (b) => b.enabled && !isArchived(b) && ((useShared && isShared(b)) || own.has(b.id))
+  );
+}
+
+// --- Archive ---
+// Archived children and behaviors are hidden from logging and settings but
+// keep their history. `archivedAt` is the date they were archived, so reports
+// for periods before then still include them.
+const isArchived = (x) => !!x?.archivedAt;
+const activeChildren = (profile) => profile.children.filter((c) => !isArchived(c));
+const childrenForPeriod = (profile, start) =>
+  profile.children.filter((c) => !isArchived(c) || c.archivedAt >= start);
+
+// A report's behavior list: the current ones plus archived behaviors that
+// scored in the period.
+const reportBehaviors = (profile, behaviors, byBehavior) => [
+  ...behaviors,
+  ...profile.behaviors.filter((b) => isArchived(b) && b.id in byBehavior),
+];
+
+// --- Family & roles ---
+// A family's data lives under users/{familyId}, where familyId is the owner's
+// uid. Other accounts join with an invite code: they are added to the owner
+// doc's `members` map and their own users/{uid} doc points at the family.
+const roleLabels = {
+  owner: "Owner parent",
+  coparent: "Co-parent",
+  caregiver: "Caregiver (log only)",
+  viewer: "Read-only",
+};
+const rolePerms = {
+  owner: ["log", "rewards", "settings", "members"],
+  coparent: ["log", "rewards", "settings"],
+  caregiver: ["log"],
+  viewer: [],
+};
+const can = (role, perm) => (rolePerms[role] || []).includes(perm);
+
+const memberName = (profile, fid, uid) =>
+  uid === fid
+    ? profile.email || "Owner"
+    : profile.members?.[uid]?.email || "Former member";
+
+const inviteAlphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const newInviteCode = () =>
+  Array.from(
+    crypto.getRandomValues(new Uint8Array(8)),
+    (n) => inviteAlphabet[n % inviteAlphabet.length]
+  ).join("");
+
+async function joinFamily(user, rawCode) {
+  const code = rawCode.trim().toUpperCase();
+  const inv = await store.get(`invites/${code}`);
+  if (!inv) throw new Error("Invite code not found.");
+  const { familyId, role } = inv;
+  if (familyId === user.uid) throw new Error("That invite is for your own family.");
+  // each code admits one person: joining deletes it in the same batch
+  await store
+    .batch()
+    .update(`users/${familyId}`, {
+      [`members.${user.uid}`]: {
+        role,
+        email: user.email,
+        invite: code,
+        joinedAt: new Date().toISOString(),
+      },
+    })
+    .remove(`invites/${code}`)
+    .set(`users/${user.uid}`, { email: user.email, familyId }, { merge: true })
+    .commit();
+}
+
+async function leaveFamily(user, fid) {
+  // may fail if the owner already removed us; the pointer is cleared regardless
+  await store
+    .update(`users/${fid}`, { [`members.${user.uid}`]: deleteField() })
+    .catch(() => {});
+  await store.update(`users/${user.uid}`, { familyId: deleteField() });
+}
+
+// --- Points ledger ---
+// One "earn" row per child per day mirrors that day's total; redemptions and
+// manual adjustments are appended as their own rows. Balance = sum of rows.
+const earnLedgerId = (childId, date) => `earn_${childId}_${date}`;
+const earnLedgerRow = (childId, date, points) => ({
+  childId,
+  type: "earn",
+  points,
+  date,
+  createdAt: `${date}T23:59:59`,
+});
+const ledgerLabel = (r) =>
+  r.type === "earn"
+    ? "Daily points"
+    : r.type === "redeem"
+    ? `Redeemed: ${r.label}`
+    : r.reason || "Adjustment";
+const sortLedger = (rows) =>
+  rows.sort(
+    (a, b) =>
+      (b.date || "").localeCompare(a.date || "") ||
+      (b.createdAt || "").localeCompare(a.createdAt || "")
+  );
+
+// Writes earn rows for every existing entry (accounts created before the ledger).
+async function backfillLedger(uid, behaviors, terms) {
+  const byId = behaviorMap(behaviors, terms);
+  const docs = await store.list(`users/${uid}/entries`);
+  let batch = store.batch();
+  let n = 0;
+  for (const { data: en } of docs) {
+    if (!en.childId || !en.date) continue;
+    batch.set(
+      `users/${uid}/ledger/${earnLedgerId(en.childId, en.date)}`,
+      earnLedgerRow(en.childId, en.date, dayPoints(en, en.date, byId))
+    );
+    if (++n % 400 === 0) {
+      await batch.commit();
+      batch = store.batch();
+    }
+  }
+  batch.set(`users/${uid}`, { ledgerVersion: 1 }, { merge: true });
+  await batch.commit();
+}
+
+// Where a total stands: tiers with their `target` for the period (ascending,
+// those without one last), the highest one reached, the next one and how far
+// along to it (0-100).
+function tierProgress(tiers, mode, total, possible) {
+  const sorted = tiers
+    .map((t) => ({ ...t, target: tierTarget(t, mode, possible) }))
+    .sort((a, b) => (a.target ?? Infinity) - (b.target ?? Infinity));
+  const due = sorted.filter((t) => t.target != null);
+  const reached = due.filter((t) => total >= t.target).pop() || null;
+  const next = due.find((t) => total < t.target) || null;
+  const pct = next ? clamp((total / (next.target || 1)) * 100, 0, 100) : reached ? 100 : 0;
+  return { sorted, reached, next, pct };
+}
+
+const tierFor = (tiers, mode, total, possible) =>
+  tierProgress(tiers, mode, total, possible).reached;
+
+const chartColors = [
+  "#6366F1",
+  "#10B981",
+  "#F59E0B",
+  "#EF4444",
+  "#06B6D4",
+  "#8B5CF6",
+  "#14B8A6",
+  "#84CC16",
+  "#F43F5E",
+  "#22C55E",
+  "#A855F7",
+  "#EAB308",
+];
+
+// --- Categories / icons ---
+const categoryColors = {
+  Manners: "#6366F1",
+  "Self-control": "#EF4444",
+  Chores: "#F59E0B",
+  Hygiene: "#06B6D4",
+  School: "#10B981",
+  "Screen time": "#8B5CF6",
+  [uncategorized]: "#64748B",
+};
+const categoryColor = (cat) => {
+  if (categoryColors[cat]) return categoryColors[cat];
+  let h = 0;
+  for (const ch of cat) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return chartColors[h % chartColors.length];
+};
+const behaviorCategory = (b) => b?.category || uncategorized;
+const behaviorIcon = (b) => b?.icon || "⭐";
+const behaviorColor = (b) => b?.color || categoryColor(behaviorCategory(b));
+
+const getCategories = (profile) => [
+  ...new Set([
+    ...defaultCategories,
+    ...profile.behaviors.map(behaviorCategory),
+  ]),
+];
+
+// [{ category, behaviors }] in category order, empty groups dropped
+function groupByCategory(behaviors, categories) {
+  const groups = new Map(categories.map((c) => [c, []]));
+  behaviors.forEach((b) => {
+    const cat = behaviorCategory(b);
+    if (!groups.has(cat)) groups.set(cat, []);
+    groups.get(cat).push(b);
+  });
+  return [...groups]
+    .filter(([, list]) => list.length)
+    .map(([category, list]) => ({ category, behaviors: list }));
+}
+
+const categoryTotals = (behaviors, byBehavior) => {
+  const out = {};
+  behaviors.forEach((b) => {
+    const cat = behaviorCategory(b);
+    out[cat] = (out[cat] || 0) + (byBehavior[b.id] || 0);
+  });
+  return out;
+};
+
+// ====== Achievements ======
+// Badges are derived from the day history whenever it changes instead of being
+// stored, so corrected scores and edited rules are re-evaluated everywhere.
+const streakThresholds = [3, 7, 14, 30];
+const perfectDayThresholds = [1, 5, 10, 25];
+const pointMilestones = [100, 500, 1000];
+const achievementTypes = {
+  streak: "days in a row",
+  days: "days in total",
+  points: "points in total",
+};
+
+const addDaysISO = (iso, n) => {
+  const d = parseISO(iso);
+  d.setDate(d.getDate() + n);
+  return toISO(d);
+};
+const monthEndISO = (month) => {
+  const [y, m] = month.split("-").map(Number);
+  return toISO(new Date(y, m, 0));
+};
+
+// Walks the sorted history, reporting the running streak, the number of
+// positive days and the cumulative value after each day.
+// Days where `due` is false (off schedule or N/A) are skipped and don't break
+// a streak.
+function walkHistory(dates, value, onDay, due = () => true) {
+  const dueBetween = (a, b) => {
+    for (let d = addDaysISO(a, 1); d < b; d = addDaysISO(d, 1)) if (due(d)) return true;
+    return false;
+  };
+  let run = 0;
+  let count = 0;
+  let total = 0;
+  let prev = null;
+  dates.forEach((date) => {
+    if (!due(date)) return;
+    const v = value(date);
+    total += v;
+    if (v > 0) {
+      run = prev && !dueBetween(prev, date) ? run + 1 : 1;
+      count += 1;
+      prev = date;
+    }
+    onDay(date, { run: v > 0 ? run : 0, count, total });
+  });
+}
+
+// days: {date: {items, na}}; behaviors: the child's current list.
+// Returns [{id, icon, label, detail, date}] newest first; each badge keeps the
+// date it was first earned.
+function computeAchievements(days, behaviors, byId, rules = [], today = todayStr()) {
+  const dates = Object.keys(days)
+    .filter((d) => d <= today)
+    .sort();
+  const earned = new Map();
+  const award = (badge) => {
+    if (!earned.has(badge.id)) earned.set(badge.id, badge);
+  };
+  if (!dates.length) return [];
+
+  const due = (bid) => (date) => countsOn(byId[bid], date, days[date]);
+  const raw = (bid) => (date) =>
+    due(bid)(date) && itemMet(byId[bid], days[date].items?.[bid]) ? 1 : 0;
+  const points = (bid) => (date) => {
+    if (!bid) return dayPoints(days[date], date, byId);
+    return due(bid)(date) ? itemPoints(byId[bid], days[date].items?.[bid]) : 0;
+  };
+
+  // first-time milestones
+  award({ id: "first_day", icon: "🎉", label: "First day tracked", date: dates[0] });
+  walkHistory(dates, points(""), (date, { total }) =>
+    pointMilestones
+      .filter((n) => total >= n)
+      .forEach((n) => award({ id: `points_${n}`, icon: "💯", label: `${n} points earned`, date }))
+  );
+
+  // per-behavior streaks
+  behaviors
+    .filter((b) => behaviorRange(b).max > 0)
+    .forEach((b) =>
+      walkHistory(
+        dates,
+        raw(b.id),
+        (date, { run }) =>
+          streakThresholds
+            .filter((n) => run >= n)
+            .forEach((n) =>
+              award({
+                id: `streak_${b.id}_${n}`,
+                icon: "🔥",
+                label: `${b.label} ${n} days in a row`,
+                date,
+              })
+            ),
+        due(b.id)
+      )
+    );
+
+  // perfect days: every due behavior that can score reached its maximum
+  // open-ended counts and minutes have no "perfect" value
+  const scorable = behaviors.filter(
+    (b) => !["counter", "duration"].includes(behaviorType(b)) && behaviorRange(b).max > 0
+  );
+  let perfect = 0;
+  dates.forEach((date) => {
+    const items = days[date].items || {};
+    const dueToday = scorable.filter((b) => due(b.id)(date));
+    if (!dueToday.length || dueToday.some((b) => (items[b.id] || 0) < dayMax(byId[b.id])))
+      return;
+    perfect += 1;
+    if (perfectDayThresholds.includes(perfect))
+      award({
+        id: `perfect_${perfect}`,
+        icon: "🌟",
+        label: perfect === 1 ? "First perfect day" : `${perfect} perfect days`,
+        date,
+      });
+  });
+
+  // most improved behavior of each finished month vs the month before
+  const monthly = {};
+  dates.forEach((date) => {
+    const m = monthKey(date);
+    monthly[m] ||= {};
+    behaviors.forEach((b) => {
+      monthly[m][b.id] = (monthly[m][b.id] || 0) + points(b.id)(date);
+    });
+  });
+  const current = monthKey(today);
+  Object.keys(monthly)
+    .sort()
+    .forEach((m) => {
+      const prevMonth = monthKey(addDaysISO(`${m}-01`, -1));
+      if (m >= current || !monthly[prevMonth]) return;
+      const best = behaviors
+        .map((b) => ({ b, delta: monthly[m][b.id] - (monthly[prevMonth][b.id] || 0) }))
+        .filter((x) => x.delta > 0)
+        .sort((a, b) => b.delta - a.delta)[0];
+      if (!best) return;
+      award({
+        id: `improved_${m}`,
+        icon: "📈",
+        label: `Most improved: ${best.b.label}`,
+        detail: `${m}, +${best.delta} pts on the month before`,
+        date: monthEndISO(m),
+      });
+    });
+
+  // parent-defined rules
+  rules.forEach((r) => {
+    if (r.behaviorId && !byId[r.behaviorId]) return;
+    const target = Number(r.target) || 0;
+    if (target <= 0) return;
+    const metric = r.type === "points" ? "total" : r.type === "days" ? "count" : "run";
+    const value =
+      r.type === "points" ? points(r.behaviorId) : r.behaviorId ? raw(r.behaviorId) : points("");
+    walkHistory(
+      dates,
+      value,
+      (date, progress) => {
+        if (progress[metric] >= target)
+          award({ id: `rule_${r.id}`, icon: r.icon || "🏅", label: r.label, date });
+      },
+      r.behaviorId ? due(r.behaviorId) : undefined
+    );
+  });
+
+  return [...earned.values()].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// ====== Trends ======
+const trendWindows = { week: 3, month: 7, year: 30 };
+// Feb 29 lands on Feb 28 in a year without one instead of rolling into March.
+function shiftYearISO(iso, n) {
+  const y = Number(iso.slice(0, 4)) + n;
+  const m = Number(iso.slice(5, 7));
+  const lastDay = new Date(y, m, 0).getDate();
+  const d = Math.min(Number(iso.slice(8, 10)), lastDay);
+  return `${y}-${iso.slice(5, 7)}-${String(d).padStart(2, "0")}`;
+}
+
+// Periods the report is compared against: the one right before it and the
+// same period a year earlier.
+const comparisonRanges = (mode, range) => ({
+  previous: getRange(mode, addDaysISO(range.start, -1)),
+  lastYear: getRange(mode, shiftYearISO(range.start, -1)),
+});
+
+// Adds a trailing moving average (`avg`) to a daily series; the window
+// shrinks at the start of the period.
+function withMovingAverage(series, size) {
+  let sum = 0;
+  return series.map((d, i) => {
+    sum += d.total - (i >= size ? series[i - size].total : 0);
+    return { ...d, avg: Math.round((sum / Math.min(i + 1, size)) * 10) / 10 };
+  });
+}
+
+// Average points per logged day for each weekday, per behavior and in total.
+function weekdayHeatmap(days, behaviors, byId) {
+  const acc = (rows, key, wd, v) => {
+    rows[key] ||= weekdayNames.map(() => ({ sum: 0, n: 0 }));
+    rows[key][wd].sum += v;
+    rows[key][wd].n += 1;
+  };
+  const rows = {};
+  Object.entries(days).forEach(([iso, day]) => {
+    const wd = weekdayNames.indexOf(weekday(iso));
+    acc(rows, "", wd, dayPoints(day, iso, byId));
+    behaviors.forEach((b) => {
+      if (countsOn(byId[b.id], iso, day)) acc(rows, b.id, wd, itemPoints(b, day.items?.[b.id]));
+    });
+  });
+  const avg = (cells = []) =>
+    weekdayNames.map((_, i) =>
+      cells[i]?.n ? Math.round((cells[i].sum / cells[i].n) * 10) / 10 : null
+    );
+  return {
+    total: avg(rows[""]),
+    behaviors: behaviors.map((b) => ({ behavior: b, cells: avg(rows[b.id]) })),
+  };
+}
+
+// ====== Incidents ======
+// ABC records for challenging behaviors, in users/{fid}/incidents:
+// { childId, date, at, behaviorId?, antecedent, description, consequence,
+//   intensity (1-5), minutes, by, createdAt }. `at` is the local timestamp
+// "YYYY-MM-DDTHH:MM" the incident started.
+const antecedentOptions = [
+  "Asked to do something",
+  "Told no",
+  "Transition / change of activity",
+  "Screen time ended",
+  "Conflict with a sibling or friend",
+  "Tired or hungry",
+  "Attention elsewhere",
+];
+const consequenceOptions = [
+  "Calm reminder",
+  "Redirected",
+  "Planned ignoring",
+  "Time-out",
+  "Lost a privilege",
+  "Comforted",
+  "Gave in",
+];
+const intensityLabels = ["", "Mild", "Low", "Moderate", "High", "Severe"];
+
+// Watches one child's incidents in [start, end], newest first.
+function useIncidents(fid, childId, start, end) {
+  const [rows, setRows] = useState([]);
+  useEffect(() => {
+    if (!childId || !start || !end) return;
+    return store.watchList(
+      `users/${fid}/incidents`,
+      entriesInRange(childId, start, end),
+      (docs) =>
+        setRows(
+          docs
+            .map((d) => ({ id: d.id, ...d.data }))
+            .sort((a, b) => (b.at || "").localeCompare(a.at || ""))
+        )
+    );
+  }, [fid, childId, start, end]);
+  return rows;
+}
+
+// Counts by time of day (the family's day parts, or morning/afternoon/evening),
+// antecedent and consequence, plus intensity and duration totals.
+function summarizeIncidents(incidents, dayParts) {
+  const parts = dayParts.length ? dayParts : defaultDayParts;
+  const count = (key) => {
+    const out = {};
+    incidents.forEach((x) => {
+      const k = key(x) || "Not recorded";
+      out[k] = (out[k] || 0) + 1;
+    });
+    return Object.entries(out).sort((a, b) => b[1] - a[1]);
+  };
+  const partOf = (x) => currentDayPart(parts, new Date(x.at))?.label;
+  const rated = incidents.filter((x) => x.intensity);
+  return {
+    total: incidents.length,
+    minutes: incidents.reduce((a, x) => a + (x.minutes || 0), 0),
+    avgIntensity: rated.length
+      ? Math.round((rated.reduce((a, x) => a + x.intensity, 0) / rated.length) * 10) / 10
+      : null,
+    byPart: parts.map((p) => [p.label, incidents.filter((x) => partOf(x) === p.label).length]),
+    byAntecedent: count((x) => x.antecedent),
+    byConsequence: count((x) => x.consequence),
+  };
+}
+
+const incidentsCSV = (incidents, byId) =>
+  toCSV([
+    [
+      "Date",
+      "Time",
+      "Behavior",
+      "Before (antecedent)",
+      "What happened",
+      "Consequence",
+      "Intensity",
+      "Minutes",
+    ],
+    ...incidents.map((x) => [
+      x.date,
+      x.at.slice(11, 16),
+      x.behaviorId ? behaviorLabel(byId, x.behaviorId) : "",
+      x.antecedent,
+      x.description,
+      x.consequence,
+      x.intensity || "",
+      x.minutes || "",
+    ]),
+  ]);
+
+// ====== Reminders ======
+// Local notifications shown through the service worker. Each parent keeps
+// their own settings in `notifications` on their users/{uid} doc; the state
+// shared with public/reminders-sw.js lives in the "reminders" cache.
+const defaultNotifications = {
+  enabled: false,
+  daily: true,
+  dailyTime: "19:30",
+  onlyIfEmpty: true,
+  weekly: true,
+  weeklyDay: 0,
+  weeklyTime: "18:00",
+};
+const reminderCache = "reminders";
+const reminderKey = "/__reminders";
+
+async function readReminderState() {
+  if (!("caches" in window)) return {};
+  const res = await (await caches.open(reminderCache)).match(reminderKey);
+  return res ? res.json() : {};
+}
+
+async function writeReminderState(patch) {
+  if (!("caches" in window)) return;
+  const next = { ...(await readReminderState()), ...patch };
+  await (await caches.open(reminderCache)).put(reminderKey, new Response(JSON.stringify(next)));
+}
+
+// Stops background reminders, e.g. when they are turned off or on sign-out.
+async function stopReminders() {
+  await writeReminderState({ settings: { enabled: false } });
+  const reg = await navigator.serviceWorker?.getRegistration();
+  await reg?.periodicSync?.unregister("daily-reminder");
+}
+
+// Reminders belong to the signed-in parent, so they stop with the session.
+async function signOutAndStopReminders() {
+  await stopReminders().catch(reportError);
+  await store.signOut();
+}
+
+async function showReminder(title, body, tag) {
+  const options = { body, tag, icon: "icon-192.png" };
+  const reg = await navigator.serviceWorker?.getRegistration();
+  if (reg) return reg.showNotification(title, options);
+  new Notification(title, options);
+}
+
+// Children with no entry saved for `date`.
+async function childrenWithoutEntries(fid, children, date) {
+  const docs = await store.list(`users/${fid}/entries`, [["date", "==", date]]);
+  const logged = new Set(docs.map((d) => d.data.childId));
+  return children.filter((c) => !logged.has(c.id));
+}
+
+// "Name: 42 pts, …" for the seven days up to and including `end`.
+async function weeklySummaryText(fid, profile, end) {
+  const range = { start: addDaysISO(end, -6), end, label: "" };
+  const byId = behaviorMap(profile.behaviors, profile.schoolTerms);
+  const children = childrenForPeriod(profile, range.start);
+  const rows = await fetchEntries(
+    fid,
+    children.map((c) => c.id),
+    range.start,
+    range.end
+  );
+  return children
+    .map((c) => {
+      const days = Object.fromEntries(
+        rows.filter((r) => r.childId === c.id).map((r) => [r.date, r])
+      );
+      return `${c.name}: ${periodStatsFrom(days, byId, range).stat.total} pts`;
+    })
+    .join(", ");
+}
+
+// Checks once a minute while the app is open; the service worker covers the
+// daily reminder through periodic sync where the browser supports it.
+function useReminders(fid, profile, settings) {
+  const profileRef = useRef(profile);
+  profileRef.current = profile;
+
+  useEffect(() => {
+    if (!settings.enabled || typeof Notification === "undefined") {
+      stopReminders().catch(reportError);
+      return;
+    }
+    writeReminderState({ settings }).catch(reportError);
+    navigator.serviceWorker?.ready
+      .then((reg) =>
+        reg.periodicSync?.register("daily-reminder", { minInterval: 60 * 60 * 1000 })
+      )
+      .catch(() => {}); // not supported or not installed as an app
+
+    let busy = false;
+    let scanned = 0;
+    const check = async () => {
+      if (busy || Notification.permission !== "granted") return;
+      busy = true;
+      try {
+        const now = new Date();
+        const today = todayStr();
+        const hhmm = now.toTimeString().slice(0, 5);
+        const state = await readReminderState();
+        const p = profileRef.current;
+
+        // lets the service worker skip the daily reminder once everyone is logged
+        if (
+          settings.onlyIfEmpty &&
+          state.allLogged !== today &&
+          now - scanned > 15 * 60 * 1000
+        ) {
+          scanned = now;
+          if (!(await childrenWithoutEntries(fid, activeChildren(p), today)).length)
+            await writeReminderState({ allLogged: today });
+        }
+
+        if (settings.daily && hhmm >= settings.dailyTime && state.lastDaily !== today) {
+          await writeReminderState({ lastDaily: today });
+          const missing = settings.onlyIfEmpty
+            ? await childrenWithoutEntries(fid, activeChildren(p), today)
+            : activeChildren(p);
+          if (missing.length)
+            await showReminder(
+              "Time to log today's behaviors",
+              settings.onlyIfEmpty
+                ? `Nothing logged yet today for ${missing.map((c) => c.name).join(", ")}.`
+                : "Take a minute to fill in today's tracker.",
+              "daily-reminder"
+            );
+        }
+
+        if (
+          settings.weekly &&
+          now.getDay() === Number(settings.weeklyDay) &&
+          hhmm >= settings.weeklyTime &&
+          state.lastWeekly !== today
+        ) {
+          await writeReminderState({ lastWeekly: today });
+          await showReminder(
+            "This week's behavior summary",
+            await weeklySummaryText(fid, p, today),
+            "weekly-summary"
+          );
+        }
+      } catch (e) {
+        reportError(e);
+      } finally {
+        busy = false;
+      }
+    };
+    check();
+    const id = setInterval(check, 60 * 1000);
+    return () => clearInterval(id);
+  }, [fid, settings]);
+}
+
+// ====== Charts ======
+// Positive slices for the pie, largest first (shared with the PDF legend).
+function pieSlices(behaviors, byBehavior, groupBy = "behavior") {
+  const slices =
+    groupBy === "category"
+      ? Object.entries(categoryTotals(behaviors, byBehavior)).map(
+          ([cat, value]) => ({ name: cat, value, color: categoryColor(cat) })
+        )
+      : behaviors.map((b) => ({
+          name: b.label,
+          value: byBehavior[b.id] || 0,
+          color: behaviorColor(b),
+        }));
+  return slices
+    .map((d) => ({ ...d, value: Math.max(0, d.value) }))
+    .filter((d) => d.value > 0)
+    .sort((a, b) => b.value - a.value)
+    .slice(0, 12);
+}
+
+function MonthlyPie({ behaviors, byBehavior, groupBy = "behavior" }) {
+  const data = pieSlices(behaviors, byBehavior, groupBy);
+
+  if (data.length === 0) {
+    return (
+      <div className="text-sm text-slate-500">
+        No positive points yet for this period.
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full h-64">
+      <ResponsiveContainer>
+        <PieChart>
+          <Pie data={data} dataKey="value" nameKey="name" outerRadius={80} innerRadius={40}>
+            {data.map((d, i) => (
+              <Cell key={i} fill={d.color || chartColors[i % chartColors.length]} />
+            ))}
+          </Pie>
+          <Tooltip formatter={(v) => `${v} pts`} />
+          <Legend verticalAlign="bottom" height={24} />
+        </PieChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+// ====== UI Bits ======
+const Btn = ({ className = "", ...p }) => (
+  <button
+    {...p}
+    className={
+      "px-3 py-2 rounded-xl shadow-sm border text-sm hover:opacity-90 active:scale-[.98] transition " +
+      className
+    }
+  />
+);
+const Card = ({ title, right, children }) => (
+  <div className="bg-white/90 backdrop-blur border rounded-2xl p-4 shadow-sm">
+    <div className="flex items-center justify-between mb-2">
+      <h3 className="font-semibold text-slate-800">{title}</h3>
+      <div>{right}</div>
+    </div>
+    {children}
+  </div>
+);
+// Commits on blur / Enter so typing doesn't write every keystroke.
+const NumberField = ({ value, onCommit, className = "", ...p }) => (
+  <input
+    key={value}
+    type="number"
+    defaultValue={value}
+    {...p}
+    className={"border rounded-lg px-2 py-1 w-16 text-sm " + className}
+    onBlur={(e) => {
+      const n = Number(e.target.value);
+      if (e.target.value !== "" && Number.isFinite(n) && n !== value) onCommit(n);
+      else e.target.value = value;
+    }}
+    onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+  />
+);
+const Ribbon = ({ text, color }) => (
+  <div
+    className={`inline-flex items-center gap-2 px-3 py-1 rounded-full text-xs font-semibold border ${color}`}
+  >
+    {text}
+  </div>
+);
+
+// Progress bar towards the next reward tier.
+function GoalProgress({ progress, total, possible }) {
+  const { reached, next, pct } = progress;
+  if (!reached && !next) return null;
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between gap-2 text-xs text-slate-600">
+        <span>
+          {next
+            ? `${total} / ${next.target} pts to ${next.emoji} ${next.label}`
+            : `${reached.emoji} ${reached.label} reached!`}
+        </span>
+        {possible > 0 && (
+          <span className="text-slate-400">
+            {Math.round((total / possible) * 100)}% of {possible} possible
+          </span>
+        )}
+      </div>
+      <div className="h-2.5 rounded-full bg-slate-100 overflow-hidden">
+        <div
+          className="h-full bg-gradient-to-r from-amber-300 to-emerald-400 transition-all"
+          style={{ width: `${pct}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+function SyncIndicator() {
+  const { pending, error, online } = useSyncStatus();
+  if (store.mode === "local")
+    return <Ribbon text="💾 This device" color="border-slate-200 text-slate-600" />;
+  if (error)
+    return (
+      <button
+        title={error}
+        onClick={() => setSync(() => ({ error: null }))}
+        className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-semibold border border-rose-200 text-rose-700"
+      >
+        ⚠️ Sync error
+      </button>
+    );
+  const [text, color] = !online
+    ? [pending ? `Offline · ${pending} queued` : "Offline", "border-amber-200 text-amber-700"]
+    : pending
+    ? [`Syncing ${pending}…`, "border-sky-200 text-sky-700"]
+    : ["Synced ✓", "border-emerald-200 text-emerald-700"];
+  return <Ribbon text={text} color={color} />;
+}
+
+/*********** Measurement inputs ***********/
+// Daily-tab controls for yes/no, rating and minutes behaviors; tallies and
+// counters keep the −/+ buttons.
+function MeasureInput({ b, val, disabled, onSet }) {
+  const type = behaviorType(b);
+  if (type === "yesno")
+    return (
+      <Btn
+        className={`w-24 disabled:opacity-40 ${
+          val ? "bg-emerald-500 text-white border-emerald-500" : "text-slate-500"
+        }`}
+        disabled={disabled}
+        onClick={() => onSet(val ? 0 : 1)}
+      >
+        {val ? "✓ Yes" : "No"}
+      </Btn>
+    );
+  if (type === "rating")
+    return (
+      <div className="flex">
+        {[1, 2, 3, 4, 5].map((n) => (
+          <button
+            key={n}
+            title={`${n}/5`}
+            disabled={disabled}
+            className={`text-xl px-0.5 disabled:opacity-40 ${n <= val ? "" : "grayscale opacity-30"}`}
+            // tapping the current rating clears it
+            onClick={() => onSet(n === val ? 0 : n)}
+          >
+            ⭐
+          </button>
+        ))}
+      </div>
+    );
+  const { max } = behaviorRange(b);
+  return (
+    <div className="flex items-center gap-1 text-sm text-slate-500">
+      <NumberField
+        min="0"
+        max={max}
+        step="5"
+        value={val}
+        disabled={disabled}
+        onCommit={(n) => onSet(clamp(Math.round(n), 0, max))}
+      />
+      min
+      <Btn
+        className="px-2 py-1 disabled:opacity-40"
+        disabled={disabled || val >= max}
+        onClick={() => onSet(clamp(val + minutesPer(b), 0, max))}
+      >
+        +{minutesPer(b)}
+      </Btn>
+    </div>
+  );
+}
+
+/*********** Day detail ***********/
+function PhotoGrid({ photos, onRemove }) {
+  if (!photos?.length) return null;
+  return (
+    <div className="mt-2 grid grid-cols-3 sm:grid-cols-4 gap-2">
+      {photos.map((p) => (
+        <div key={p.id} className="relative">
+          <a href={p.url} target="_blank" rel="noreferrer">
+            <img
+              src={p.url}
+              alt={p.name}
+              className="w-full aspect-square object-cover rounded-xl border"
+            />
+          </a>
+          {onRemove && (
+            <button
+              title="Delete photo"
+              className="absolute top-1 right-1 size-6 rounded-full bg-white/90 border text-xs"
+              onClick={() => onRemove(p)}
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function DayDetail({ fid, childId, date, byId, onClose }) {
+  const [entry, setEntry] = useState(null);
+
+  useEffect(
+    () => store.watch(`users/${fid}/entries/${childId}_${date}`, (data) => setEntry(data || {})),
+    [fid, childId, date]
+  );
+
+  const scored = Object.entries(entry?.items || {}).filter(([, v]) => v);
+  const notes = Object.entries(entry?.notes || {});
+
+  return (
+    <Card
+      title={`${weekday(date)}, ${date}`}
+      right={<Btn onClick={onClose}>Close</Btn>}
+    >
+      {!entry ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <div className="space-y-3 text-sm">
+          {entry.dayNote && (
+            <div className="border rounded-xl p-3 bg-slate-50 whitespace-pre-wrap">
+              {entry.dayNote}
+            </div>
+          )}
+          <ul className="space-y-1">
+            {scored.map(([bid, val]) => (
+              <li key={bid} className="flex items-center justify-between">
+                <span className="text-slate-700">
+                  {behaviorIcon(byId[bid])} {byId[bid]?.label || "Deleted behavior"}
+                  {entry.notes?.[bid] && (
+                    <span className="italic text-slate-500"> — {entry.notes[bid]}</span>
+                  )}
+                </span>
+                <span className="flex items-center gap-2">
+                  {behaviorType(byId[bid]) !== "tally" && (
+                    <span className="text-xs text-slate-500">{fmtMeasure(byId[bid], val)}</span>
+                  )}
+                  <span
+                    className={`font-semibold ${
+                      itemPoints(byId[bid], val) >= 0 ? "text-emerald-700" : "text-rose-700"
+                    }`}
+                  >
+                    {countsOn(byId[bid], date, entry) ? itemPoints(byId[bid], val) : "N/A"}
+                  </span>
+                </span>
+              </li>
+            ))}
+            {/* notes on behaviors that ended the day at 0 */}
+            {notes
+              .filter(([bid]) => !entry.items?.[bid])
+              .map(([bid, text]) => (
+                <li key={bid} className="text-slate-600">
+                  {behaviorIcon(byId[bid])} {byId[bid]?.label || "Deleted behavior"}
+                  <span className="italic text-slate-500"> — {text}</span>
+                </li>
+              ))}
+          </ul>
+          {scored.length === 0 && notes.length === 0 && !entry.dayNote && (
+            <div className="text-slate-500">Nothing logged on this day.</div>
+          )}
+          <PhotoGrid photos={entry.photos} />
+        </div>
+      )}
+    </Card>
+  );
+}
+
+/*********** Archived children & behaviors ***********/
+function ArchivedList({ items, label, deleting, onRestore, onDelete }) {
+  if (!items.length) return null;
+  return (
+    <div className="mt-4">
+      <h5 className="text-sm font-semibold text-slate-500 mb-1">Archived</h5>
+      <ul className="space-y-1">
+        {items.map((x) => (
+          <li
+            key={x.id}
+            className="flex items-center justify-between border rounded-xl px-3 py-1 text-sm text-slate-500"
+          >
+            <span>
+              {label(x)} <span className="text-xs">· since {x.archivedAt}</span>
+            </span>
+            <div className="flex gap-2">
+              <Btn className="px-2 py-1" onClick={() => onRestore(x)}>
+                Restore
+              </Btn>
+              <Btn
+                className="px-2 py-1 text-rose-700"
+                disabled={!!deleting}
+                onClick={() => onDelete(x)}
+              >
+                {deleting === x.id ? "Working…" : "Delete forever"}
+              </Btn>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/*********** Backup ***********/
+const localImportKey = "localImportDone";
+
+// Offered to cloud owners when this device still has a local-only tracker.
+function LocalDataImport({ fid, user, profile }) {
+  const [show, setShow] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (store.mode !== "cloud" || localStorage.getItem(localImportKey)) return;
+    let live = true;
+    hasLocalData()
+      .then((has) => live && setShow(has))
+      .catch(() => {});
+    return () => {
+      live = false;
+    };
+  }, []);
+
+  const finish = () => {
+    localStorage.setItem(localImportKey, "1");
+    setShow(false);
+  };
+  const run = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      await importLocalData(fid, user.uid, profile);
+      finish();
+    } catch (e) {
+      setError(`${e.message} It is safe to try again.`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!show) return null;
+  return (
+    <Card title="Data on this device">
+      <div className="text-sm text-slate-600">
+        This device has a tracker that was saved without an account. Copy its
+        children, behaviors and history into this family? Children and
+        behaviors with the same names are combined.
+      </div>
+      <div className="mt-3 flex gap-2 items-center">
+        <Btn className="border-indigo-300 text-indigo-700" disabled={busy} onClick={run}>
+          {busy ? "Copying…" : "☁️ Copy to this account"}
+        </Btn>
+        <Btn disabled={busy} onClick={finish}>
+          Dismiss
+        </Btn>
+        {error && <span className="text-sm text-red-600">{error}</span>}
+      </div>
+    </Card>
+  );
+}
+
+function BackupRestore({ fid, user, profile }) {
+  const [busy, setBusy] = useState("");
+  const [errors, setErrors] = useState([]);
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [mode, setMode] = useState("merge");
+  const [plan, setPlan] = useState(null);
+  const [done, setDone] = useState("");
+
+  useEffect(() => {
+    if (!backup) return;
+    let live = true;
+    planImport(fid, user.uid, profile, backup, mode)
+      .then((p) => live && setPlan(p))
+      .catch((e) => live && setErrors([e.message]));
+    return () => {
+      live = false;
+    };
+  }, [fid, user.uid, profile, backup, mode]);
+
+  const download = async () => {
+    setBusy("Preparing backup…");
+    try {
+      const b = await buildBackup(fid, profile);
+      downloadTextFile(
+        `kids_backup_${todayStr()}.json`,
+        JSON.stringify(b, null, 2),
+        "application/json"
+      );
+    } catch (e) {
+      setErrors([e.message]);
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const pickFile = async (file) => {
+    setErrors([]);
+    setBackup(null);
+    setPlan(null);
+    setDone("");
+    if (!file) return;
+    setFileName(file.name);
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      return setErrors(["The file is not valid JSON."]);
+    }
+    const errs = validateBackup(data);
+    if (errs.length) return setErrors(errs);
+    setBackup(data);
+  };
+
+  const runImport = async () => {
+    if (
+      mode === "replace" &&
+      !confirm("Replace ALL children, behaviors and history with this backup?")
+    )
+      return;
+    setBusy("Importing…");
+    try {
+      await applyImport(fid, profile, backup, plan);
+      setDone(`Imported ${fileName}.`);
+      setBackup(null);
+      setPlan(null);
+    } catch (e) {
+      setErrors([e.message]);
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const names = (list, key) => list.map((x) => x[key]).join(", ");
+
+  return (
+    <Card title="Backup & Restore">
+      <div className="flex flex-wrap gap-2 items-center">
+        <Btn
+          className="border-indigo-300 text-indigo-700"
+          disabled={!!busy}
+          onClick={download}
+        >
+          ⬇️ Download backup (JSON)
+        </Btn>
+        <label className="px-3 py-2 rounded-xl shadow-sm border text-sm cursor-pointer hover:opacity-90">
+          <input
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              pickFile(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+          ⬆️ Restore from file…
+        </label>
+        {busy && <span className="text-sm text-slate-500">{busy}</span>}
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="mt-3 text-sm text-red-600 list-disc pl-5">
+          {errors.map((e) => (
+            <li key={e}>{e}</li>
+          ))}
+        </ul>
+      )}
+      {done && <div className="mt-3 text-sm text-emerald-700">{done}</div>}
+
+      {backup && (
+        <div className="mt-4 border rounded-xl p-3 space-y-2 text-sm">
+          <div className="font-semibold">
+            {fileName}{" "}
+            <span className="font-normal text-slate-500">
+              (exported {backup.exportedAt?.slice(0, 10) || "unknown"})
+            </span>
+          </div>
+          <div className="flex gap-4">
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                checked={mode === "merge"}
+                onChange={() => setMode("merge")}
+              />
+              Merge into current data
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                checked={mode === "replace"}
+                onChange={() => setMode("replace")}
+              />
+              Replace everything
+            </label>
+          </div>
+
+          {!plan ? (
+            <div className="text-slate-500">Checking…</div>
+          ) : (
+            <ul className="space-y-1 text-slate-700">
+              <li>
+                Children: {backup.profile.children.length}
+                {plan.children.added.length > 0 &&
+                  ` · new: ${names(plan.children.added, "name")}`}
+              </li>
+              <li>
+                Behaviors: {backup.profile.behaviors.length}
+                {plan.mode === "merge" &&
+                  ` · ${backup.profile.behaviors.length - plan.behaviors.added.length} matched, ${plan.behaviors.added.length} new`}
+              </li>
+              {backupCollections.map((name) => (
+                <li key={name} className="capitalize">
+                  {name}: {plan.counts[name].total}
+                  {plan.counts[name].overwrite > 0 &&
+                    ` (${plan.counts[name].overwrite} already here will be updated)`}
+                </li>
+              ))}
+              {plan.mode === "replace" && (
+                <li className="text-rose-700">
+                  Current children, behaviors, settings (including the kid-mode
+                  PIN) and history not in the backup are removed once it has
+                  been written.
+                </li>
+              )}
+              {plan.photos > 0 && (
+                <li className="text-slate-500">
+                  {plan.photos} photo links are kept but the images themselves are
+                  not part of the backup.
+                </li>
+              )}
+            </ul>
+          )}
+
+          <div className="flex gap-2">
+            <Btn
+              className="bg-indigo-600 text-white border-indigo-600"
+              disabled={!plan || !!busy}
+              onClick={runImport}
+            >
+              Import
+            </Btn>
+            <Btn
+              onClick={() => {
+                setBackup(null);
+                setPlan(null);
+              }}
+            >
+              Cancel
+            </Btn>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+/*********** Export ***********/
+function ExportPanel({ fid, profile, childId, range, byId, onClose }) {
+  const [format, setFormat] = useState("long"); // summary | long | wide
+  const [scope, setScope] = useState("child"); // child | all
+  const [period, setPeriod] = useState("report"); // report | custom
+  const [start, setStart] = useState(range.start);
+  const [end, setEnd] = useState(range.end);
+  const [values, setValues] = useState("raw"); // wide matrix cells
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  const from = period === "report" ? range.start : start;
+  const to = period === "report" ? range.end : end;
+  const label = period === "report" ? range.label : `${from} → ${to}`;
+  const children =
+    scope === "all"
+      ? childrenForPeriod(profile, from)
+      : profile.children.filter((c) => c.id === childId);
+  const childName = (id) => profile.children.find((c) => c.id === id)?.name || id;
+
+  const run = async () => {
+    if (!from || !to || from > to) return setErr("Pick a valid date range.");
+    setErr("");
+    setBusy(true);
+    try {
+      const days = await fetchEntries(fid, children.map((c) => c.id), from, to);
+      let rows;
+      if (format === "long") {
+        rows = buildLongCSV({ days, childName, byId });
+      } else if (format === "wide") {
+        rows = buildWideCSV({
+          days,
+          children,
+          behaviorsFor: (id) => childBehaviors(profile, id),
+          byId,
+          start: from,
+          end: to,
+          values,
+        });
+      } else {
+        rows = children.flatMap((c, i) => {
+          const perDay = Object.fromEntries(
+            days
+              .filter((d) => d.childId === c.id)
+              .map((d) => [d.date, { items: d.items, na: d.na, parts: d.parts }])
+          );
+          const { stat, series } = periodStatsFrom(perDay, byId, { start: from, end: to, label });
+          return [
+            ...(i ? [[], []] : []),
+            ...buildCSV({
+              label,
+              childName: c.name,
+              behaviors: childBehaviors(profile, c.id),
+              byBehavior: stat.byBehavior,
+              raw: stat.raw,
+              dailySeries: series,
+              byId,
+            }),
+          ];
+        });
+      }
+      const who = scope === "all" ? "all" : childName(childId);
+      const safe = `${format}_${who}_${label}`.replace(/[^\w-]+/g, "_");
+      downloadTextFile(`kids_${safe}.csv`, toCSV(rows));
+    } catch (e) {
+      setErr(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const radio = (value, current, set, text) => (
+    <label className="flex items-center gap-2">
+      <input type="radio" checked={current === value} onChange={() => set(value)} />
+      {text}
+    </label>
+  );
+
+  return (
+    <div className="border rounded-xl p-3 mb-4 space-y-3 text-sm bg-slate-50/60">
+      <div className="grid sm:grid-cols-3 gap-3">
+        <div className="space-y-1">
+          <div className="font-semibold text-slate-700">Layout</div>
+          {radio("long", format, setFormat, "Long (one row per child/date/behavior)")}
+          {radio("wide", format, setFormat, "Matrix (dates × behaviors)")}
+          {radio("summary", format, setFormat, "Summary (totals)")}
+          {format === "wide" && (
+            <select
+              className="border rounded-lg px-2 py-1"
+              value={values}
+              onChange={(e) => setValues(e.target.value)}
+            >
+              <option value="raw">Cells: scores</option>
+              <option value="points">Cells: weighted points</option>
+            </select>
+          )}
+        </div>
+        <div className="space-y-1">
+          <div className="font-semibold text-slate-700">Children</div>
+          {radio("child", scope, setScope, childName(childId))}
+          {radio("all", scope, setScope, `All children (${childrenForPeriod(profile, from).length})`)}
+        </div>
+        <div className="space-y-1">
+          <div className="font-semibold text-slate-700">Dates</div>
+          {radio("report", period, setPeriod, `Report period (${range.label})`)}
+          {radio("custom", period, setPeriod, "Custom range")}
+          {period === "custom" && (
+            <div className="flex flex-wrap items-center gap-1">
+              <input
+                type="date"
+                className="border rounded-lg px-2 py-1"
+                value={start}
+                onChange={(e) => setStart(e.target.value)}
+              />
+              <span>→</span>
+              <input
+                type="date"
+                className="border rounded-lg px-2 py-1"
+                value={end}
+                onChange={(e) => setEnd(e.target.value)}
+              />
+            </div>
+          )}
+        </div>
+      </div>
+      {err && <div className="text-red-600">{err}</div>}
+      <div className="flex gap-2">
+        <Btn
+          className="bg-indigo-600 text-white border-indigo-600"
+          disabled={busy}
+          onClick={run}
+        >
+          {busy ? "Preparing…" : "⬇️ Download CSV"}
+        </Btn>
+        <Btn onClick={onClose}>Close</Btn>
+      </div>
+    </div>
+  );
+}
+
+/*********** Measurement types ***********/
+// Type and point conversion for one behavior. `onChange(patch)` is merged into
+// the behavior; null removes a field so its type's default applies.
+function MeasureEditor({ behavior: b, onChange }) {
+  const type = behaviorType(b);
+  const { min, max } = behaviorRange(b);
+  // counts and minutes can cost points ("tantrums", "screen time")
+  const signed = type === "counter" || type === "duration";
+  const weightLabel = {
+    tally: "Weight ×",
+    yesno: "Points for yes",
+    counter: "Points each",
+    rating: "Points per ⭐ above 3",
+    duration: "Points",
+  }[type];
+  return (
+    <>
+      <select
+        className="border rounded-lg px-2 py-1 text-sm"
+        value={type}
+        onChange={(e) => onChange({ type: e.target.value, min: null, max: null })}
+      >
+        {Object.entries(measureTypes).map(([k, label]) => (
+          <option key={k} value={k}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <span>{weightLabel}</span>
+      <NumberField
+        step="0.5"
+        min={signed ? undefined : "0"}
+        value={behaviorWeight(b)}
+        onCommit={(n) => onChange({ weight: signed ? n : Math.max(0, n) })}
+      />
+      {type === "duration" && (
+        <>
+          <span>per</span>
+          <NumberField
+            step="5"
+            min="1"
+            value={minutesPer(b)}
+            onCommit={(n) => onChange({ per: Math.max(1, Math.trunc(n)) })}
+          />
+          <span>min</span>
+        </>
+      )}
+      {type === "tally" && (
+        <>
+          <span>Range</span>
+          <NumberField
+            step="1"
+            max="0"
+            value={min}
+            onCommit={(n) => onChange({ min: Math.min(0, Math.trunc(n)) })}
+          />
+          <span>to</span>
+          <NumberField
+            step="1"
+            min="0"
+            value={max}
+            onCommit={(n) => onChange({ max: Math.max(0, Math.trunc(n)) })}
+          />
+        </>
+      )}
+      {signed && (
+        <>
+          <span>Max</span>
+          <NumberField
+            step="1"
+            min="1"
+            value={max}
+            onCommit={(n) => onChange({ max: Math.max(1, Math.trunc(n)) })}
+          />
+        </>
+      )}
+    </>
+  );
+}
+
+/*********** Schedules ***********/
+function ScheduleEditor({ schedule, onChange }) {
+  const s = schedule || { type: "daily" };
+  const days = s.days || [];
+  return (
+    <>
+      <span>Due</span>
+      <select
+        className="border rounded-lg px-2 py-1 text-sm"
+        value={s.type}
+        onChange={(e) => {
+          const type = e.target.value;
+          if (type === "daily") return onChange(null);
+          onChange({ ...s, type, days: type === "days" ? s.days || [1, 2, 3, 4, 5] : s.days });
+        }}
+      >
+        {Object.entries(scheduleTypes).map(([k, label]) => (
+          <option key={k} value={k}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {s.type === "days" &&
+        weekdayNames.map((d, i) => (
+          <button
+            key={d}
+            className={`rounded-lg border px-1.5 py-0.5 ${
+              days.includes(i) ? "bg-indigo-600 text-white border-indigo-600" : ""
+            }`}
+            onClick={() =>
+              onChange({
+                ...s,
+                days: days.includes(i) ? days.filter((x) => x !== i) : [...days, i].sort(),
+              })
+            }
+          >
+            {d}
+          </button>
+        ))}
+      {s.type === "range" && (
+        <>
+          <input
+            type="date"
+            className="border rounded-lg px-2 py-1"
+            value={s.start || ""}
+            onChange={(e) => onChange({ ...s, start: e.target.value })}
+          />
+          <span>to</span>
+          <input
+            type="date"
+            className="border rounded-lg px-2 py-1"
+            value={s.end || ""}
+            onChange={(e) => onChange({ ...s, end: e.target.value })}
+          />
+        </>
+      )}
+      {s.type === "term" && <span>Mon–Fri during school terms</span>}
+    </>
+  );
+}
+
+function TermEditor({ terms, onSave }) {
+  const [draft, setDraft] = useState(terms);
+  // unsaved edits survive re-renders; only a newly saved value replaces them
+  const saved = JSON.stringify(terms);
+  useEffect(() => setDraft(JSON.parse(saved)), [saved]);
+
+  const edit = (i, patch) =>
+    setDraft((d) => d.map((t, j) => (j === i ? { ...t, ...patch } : t)));
+
+  return (
+    <div className="space-y-2">
+      {draft.map((t, i) => (
+        <div key={t.id} className="flex flex-wrap items-center gap-2">
+          <input
+            className="border rounded-xl px-2 py-1"
+            value={t.label}
+            onChange={(e) => edit(i, { label: e.target.value })}
+          />
+          <input
+            type="date"
+            className="border rounded-xl px-2 py-1"
+            value={t.start}
+            onChange={(e) => edit(i, { start: e.target.value })}
+          />
+          <span className="text-sm text-slate-500">to</span>
+          <input
+            type="date"
+            className="border rounded-xl px-2 py-1"
+            value={t.end}
+            onChange={(e) => edit(i, { end: e.target.value })}
+          />
+          <Btn
+            className="text-rose-700"
+            onClick={() => setDraft((d) => d.filter((_, j) => j !== i))}
+          >
+            ✕
+          </Btn>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <Btn
+          onClick={() =>
+            setDraft((d) => [
+              ...d,
+              { id: uidLocal(), label: `Term ${d.length + 1}`, start: todayStr(), end: todayStr() },
+            ])
+          }
+        >
+          + Add Term
+        </Btn>
+        <Btn
+          className="bg-indigo-600 text-white border-indigo-600"
+          onClick={() => onSave(draft.filter((t) => t.label.trim() && t.start <= t.end))}
+        >
+          Save Terms
+        </Btn>
+      </div>
+    </div>
+  );
+}
+
+/*********** Day parts ***********/
+function DayPartEditor({ parts, onSave }) {
+  const [draft, setDraft] = useState(parts);
+  // unsaved edits survive re-renders; only a newly saved value replaces them
+  const saved = JSON.stringify(parts);
+  useEffect(() => setDraft(JSON.parse(saved)), [saved]);
+
+  const edit = (i, patch) =>
+    setDraft((d) => d.map((p, j) => (j === i ? { ...p, ...patch } : p)));
+
+  return (
+    <div className="space-y-2">
+      {draft.length === 0 && (
+        <div className="text-sm text-slate-500">
+          Behaviors are scored once a day. Add day parts to score some of them
+          separately in the morning, afternoon and evening.
+        </div>
+      )}
+      {draft.map((p, i) => (
+        <div key={p.id} className="flex flex-wrap items-center gap-2">
+          <input
+            className="border rounded-xl px-2 py-1"
+            value={p.label}
+            onChange={(e) => edit(i, { label: e.target.value })}
+          />
+          <span className="text-sm text-slate-500">from</span>
+          <input
+            type="time"
+            className="border rounded-xl px-2 py-1"
+            value={p.start}
+            onChange={(e) => edit(i, { start: e.target.value })}
+          />
+          <Btn
+            className="text-rose-700"
+            onClick={() => setDraft((d) => d.filter((_, j) => j !== i))}
+          >
+            ✕
+          </Btn>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <Btn
+          onClick={() =>
+            setDraft((d) =>
+              d.length
+                ? [...d, { id: uidLocal(), label: `Part ${d.length + 1}`, start: "20:00" }]
+                : defaultDayParts
+            )
+          }
+        >
+          {draft.length ? "+ Add Day Part" : "+ Morning / Afternoon / Evening"}
+        </Btn>
+        <Btn
+          className="bg-indigo-600 text-white border-indigo-600"
+          onClick={() => onSave(draft.filter((p) => p.label.trim() && p.start))}
+        >
+          Save Day Parts
+        </Btn>
+      </div>
+    </div>
+  );
+}
+
+// Behaviors scored per day part against the parts, lowest cell of each row
+// highlighted so the hard time of day stands out.
+function DayPartTable({ parts, stats, behaviors, byId }) {
+  const listed = behaviors.filter((b) => stats.byBehavior[b.id]);
+  const others = Object.keys(stats.byBehavior).filter((id) => !listed.some((b) => b.id === id));
+  const rows = [...listed, ...others.map((id) => byId[id] || { id, label: "Deleted behavior" })];
+  const tone = (v) => (v > 0 ? "text-emerald-700" : v < 0 ? "text-rose-700" : "text-slate-400");
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-1 pr-2 font-normal" />
+            {parts.map((p) => (
+              <th key={p.id} className="py-1 px-2 font-normal text-right">
+                {p.label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((b) => {
+            const cells = parts.map((p) => stats.byBehavior[b.id][p.id] || 0);
+            const low = Math.min(...cells);
+            return (
+              <tr key={b.id} className="border-t">
+                <td className="py-1 pr-2 text-slate-700">
+                  {behaviorIcon(b)} {b.label}
+                </td>
+                {cells.map((v, i) => (
+                  <td
+                    key={parts[i].id}
+                    className={`py-1 px-2 text-right font-semibold ${tone(v)} ${
+                      v === low && low < Math.max(...cells) ? "bg-rose-50" : ""
+                    }`}
+                  >
+                    {v}
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+          <tr className="border-t">
+            <td className="py-1 pr-2 font-semibold text-slate-700">Total</td>
+            {parts.map((p) => (
+              <td
+                key={p.id}
+                className={`py-1 px-2 text-right font-semibold ${tone(stats.totals[p.id])}`}
+              >
+                {stats.totals[p.id]}
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/*********** Trends ***********/
+function Delta({ cur, prev, title }) {
+  const diff = Math.round((cur - prev) * 10) / 10;
+  if (!diff) return <span className="text-xs text-slate-400" title={title}>=</span>;
+  return (
+    <span
+      className={`text-xs font-semibold ${diff > 0 ? "text-emerald-600" : "text-rose-600"}`}
+      title={title}
+    >
+      {diff > 0 ? "▲" : "▼"}
+      {Math.abs(diff)}
+    </span>
+  );
+}
+
+function CompareTile({ title, stat, total }) {
+  const pct = stat.total ? Math.round(((total - stat.total) / Math.abs(stat.total)) * 100) : null;
+  return (
+    <div className="border rounded-xl px-3 py-2 bg-white">
+      <div className="text-xs text-slate-500">
+        {title} · {stat.label}
+      </div>
+      <div className="flex items-center gap-2">
+        <span className="text-lg font-semibold text-slate-800">{stat.total} pts</span>
+        <Delta cur={total} prev={stat.total} title="This period compared to that one" />
+        {pct !== null && (
+          <span className="text-xs text-slate-500">
+            ({pct > 0 ? "+" : ""}
+            {pct}%)
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function HeatCell({ value, scale }) {
+  const strength = value === null || !scale ? 0 : Math.min(Math.abs(value) / scale, 1);
+  const bg =
+    value === null
+      ? "#f8fafc"
+      : value >= 0
+        ? `rgba(16, 185, 129, ${0.1 + strength * 0.6})`
+        : `rgba(244, 63, 94, ${0.1 + strength * 0.6})`;
+  return (
+    <td className="text-center text-xs px-1 py-1 border border-white" style={{ background: bg }}>
+      {value ?? "–"}
+    </td>
+  );
+}
+
+function WeekdayHeatmap({ heatmap }) {
+  const scaleOf = (cells) => Math.max(0, ...cells.map((v) => Math.abs(v ?? 0)));
+  const logged = heatmap.total.filter((v) => v !== null);
+  const hardest = logged.length > 1 ? heatmap.total.indexOf(Math.min(...logged)) : -1;
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-slate-500">
+            <th className="text-left font-normal pr-2">Avg pts / day</th>
+            {weekdayNames.map((d, i) => (
+              <th key={d} className={`font-normal ${i === hardest ? "text-rose-600" : ""}`}>
+                {d}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {heatmap.behaviors.map(({ behavior, cells }) => (
+            <tr key={behavior.id}>
+              <td className="pr-2 text-slate-700 truncate max-w-[10rem]">
+                {behaviorIcon(behavior)} {behavior.label}
+              </td>
+              {cells.map((v, i) => (
+                <HeatCell key={i} value={v} scale={scaleOf(cells)} />
+              ))}
+            </tr>
+          ))}
+          <tr className="font-semibold">
+            <td className="pr-2 text-slate-700">Day total</td>
+            {heatmap.total.map((v, i) => (
+              <HeatCell key={i} value={v} scale={scaleOf(heatmap.total)} />
+            ))}
+          </tr>
+        </tbody>
+      </table>
+      {hardest >= 0 && (
+        <div className="mt-1 text-xs text-slate-500">
+          Hardest day: <b className="text-rose-600">{weekdayNames[hardest]}</b>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/*********** Incidents ***********/
+// A select of common answers with an "Other…" free-text fallback.
+function ChoiceField({ label, options, value, onChange }) {
+  const [other, setOther] = useState(!!value && !options.includes(value));
+  return (
+    <label className="block text-sm">
+      <span className="text-slate-600">{label}</span>
+      <select
+        className="mt-1 w-full border rounded-xl px-2 py-1"
+        value={other ? "__other" : value}
+        onChange={(e) => {
+          const v = e.target.value;
+          setOther(v === "__other");
+          onChange(v === "__other" ? "" : v);
+        }}
+      >
+        <option value="">—</option>
+        {options.map((o) => (
+          <option key={o} value={o}>
+            {o}
+          </option>
+        ))}
+        <option value="__other">Other…</option>
+      </select>
+      {other && (
+        <input
+          className="mt-1 w-full border rounded-xl px-2 py-1"
+          placeholder="Describe"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      )}
+    </label>
+  );
+}
+
+function IncidentForm({ initial, behaviors, onSave, onCancel }) {
+  const [form, setForm] = useState(initial);
+  const set = (patch) => setForm((f) => ({ ...f, ...patch }));
+
+  const submit = () => {
+    if (!form.at) return alert("Pick when it happened.");
+    if (!form.description.trim()) return alert("Describe what happened.");
+    onSave({
+      at: form.at,
+      behaviorId: form.behaviorId || "",
+      antecedent: form.antecedent.trim(),
+      description: form.description.trim(),
+      consequence: form.consequence.trim(),
+      intensity: form.intensity || 0,
+      minutes: Math.max(0, Math.round(Number(form.minutes) || 0)),
+    });
+  };
+
+  return (
+    <div className="grid md:grid-cols-2 gap-3 border rounded-xl p-3 bg-slate-50">
+      <label className="block text-sm">
+        <span className="text-slate-600">When</span>
+        <input
+          type="datetime-local"
+          className="mt-1 w-full border rounded-xl px-2 py-1"
+          value={form.at}
+          onChange={(e) => set({ at: e.target.value })}
+        />
+      </label>
+      <label className="block text-sm">
+        <span className="text-slate-600">Behavior</span>
+        <select
+          className="mt-1 w-full border rounded-xl px-2 py-1"
+          value={form.behaviorId}
+          onChange={(e) => set({ behaviorId: e.target.value })}
+        >
+          <option value="">Not linked</option>
+          {behaviors.map((b) => (
+            <option key={b.id} value={b.id}>
+              {behaviorIcon(b)} {b.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <ChoiceField
+        label="A · What happened before"
+        options={antecedentOptions}
+        value={form.antecedent}
+        onChange={(antecedent) => set({ antecedent })}
+      />
+      <ChoiceField
+        label="C · Consequence applied"
+        options={consequenceOptions}
+        value={form.consequence}
+        onChange={(consequence) => set({ consequence })}
+      />
+      <label className="block text-sm md:col-span-2">
+        <span className="text-slate-600">B · What happened</span>
+        <textarea
+          rows={2}
+          className="mt-1 w-full border rounded-xl px-2 py-1"
+          value={form.description}
+          onChange={(e) => set({ description: e.target.value })}
+        />
+      </label>
+      <div className="text-sm">
+        <span className="text-slate-600">Intensity</span>
+        <div className="mt-1 flex gap-1">
+          {[1, 2, 3, 4, 5].map((n) => (
+            <Btn
+              key={n}
+              title={intensityLabels[n]}
+              className={`px-2 py-1 ${
+                n === form.intensity ? "bg-rose-600 text-white border-rose-600" : ""
+              }`}
+              onClick={() => set({ intensity: n === form.intensity ? 0 : n })}
+            >
+              {n}
+            </Btn>
+          ))}
+          <span className="self-center text-xs text-slate-500">
+            {intensityLabels[form.intensity] || ""}
+          </span>
+        </div>
+      </div>
+      <label className="block text-sm">
+        <span className="text-slate-600">Duration (minutes)</span>
+        <input
+          type="number"
+          min="0"
+          className="mt-1 w-24 border rounded-xl px-2 py-1"
+          value={form.minutes}
+          onChange={(e) => set({ minutes: e.target.value })}
+        />
+      </label>
+      <div className="md:col-span-2 flex gap-2">
+        <Btn className="bg-indigo-600 text-white border-indigo-600" onClick={submit}>
+          Save incident
+        </Btn>
+        <Btn onClick={onCancel}>Cancel</Btn>
+      </div>
+    </div>
+  );
+}
+
+function IncidentLog({
+  fid,
+  user,
+  profile,
+  childId,
+  childName,
+  date,
+  behaviors,
+  byId,
+  canLog,
+  canManage,
+}) {
+  // caregivers only change their own incidents (see firestore.rules)
+  const canChange = (x) => canLog && (canManage || x.by === user.uid);
+  const [from, setFrom] = useState(() => addDaysISO(date, -29));
+  const [to, setTo] = useState(date);
+  const [filters, setFilters] = useState({
+    behaviorId: "",
+    antecedent: "",
+    consequence: "",
+    minIntensity: 0,
+  });
+  const [editing, setEditing] = useState(null); // incident, or {} for a new one
+  const incidents = useIncidents(fid, childId, from, to);
+
+  const shown = incidents.filter(
+    (x) =>
+      (!filters.behaviorId || x.behaviorId === filters.behaviorId) &&
+      (!filters.antecedent || x.antecedent === filters.antecedent) &&
+      (!filters.consequence || x.consequence === filters.consequence) &&
+      (x.intensity || 0) >= filters.minIntensity
+  );
+  const valuesOf = (key) => [...new Set(incidents.map((x) => x[key]).filter(Boolean))].sort();
+  const filter = (patch) => setFilters((f) => ({ ...f, ...patch }));
+
+  const newIncident = () => {
+    const now = new Date();
+    // on a past day the current time is only a starting point
+    setEditing({
+      at: `${date}T${now.toTimeString().slice(0, 5)}`,
+      behaviorId: "",
+      antecedent: "",
+      description: "",
+      consequence: "",
+      intensity: 3,
+      minutes: "",
+    });
+  };
+
+  const save = (data) => {
+    const row = { ...data, childId, date: data.at.slice(0, 10) };
+    trackWrite(
+      editing.id
+        ? store.update(`users/${fid}/incidents/${editing.id}`, row)
+        : store.add(`users/${fid}/incidents`, {
+            ...row,
+            by: user.uid,
+            createdAt: new Date().toISOString(),
+          })
+    );
+    setEditing(null);
+  };
+
+  const remove = (x) => {
+    if (!confirm(`Delete the incident from ${x.at.replace("T", " ")}?`)) return;
+    trackWrite(store.remove(`users/${fid}/incidents/${x.id}`));
+  };
+
+  const select = (value, onChange, options, all) => (
+    <select
+      className="border rounded-xl px-2 py-1 text-sm"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      <option value="">{all}</option>
+      {options.map(([v, label]) => (
+        <option key={v} value={v}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <Card
+      title={`Incident Log — ${childName}`}
+      right={
+        <div className="flex gap-2">
+          <Btn
+            disabled={!shown.length}
+            onClick={() =>
+              downloadTextFile(
+                `kids_incidents_${`${childName}_${from}_${to}`.replace(/[^\w-]+/g, "_")}.csv`,
+                incidentsCSV(shown, byId)
+              )
+            }
+          >
+            ⬇️ CSV
+          </Btn>
+          {canLog && !editing && (
+            <Btn className="bg-rose-600 text-white border-rose-600" onClick={newIncident}>
+              + Log incident
+            </Btn>
+          )}
+        </div>
+      }
+    >
+      {editing && (
+        <div className="mb-4">
+          <IncidentForm
+            key={editing.id || "new"}
+            initial={editing}
+            behaviors={behaviors}
+            onSave={save}
+            onCancel={() => setEditing(null)}
+          />
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <input
+          type="date"
+          className="border rounded-xl px-2 py-1"
+          value={from}
+          onChange={(e) => e.target.value && setFrom(e.target.value)}
+        />
+        <span className="text-slate-500">to</span>
+        <input
+          type="date"
+          className="border rounded-xl px-2 py-1"
+          value={to}
+          onChange={(e) => e.target.value && setTo(e.target.value)}
+        />
+        {select(
+          filters.behaviorId,
+          (behaviorId) => filter({ behaviorId }),
+          valuesOf("behaviorId").map((id) => [id, behaviorLabel(byId, id)]),
+          "All behaviors"
+        )}
+        {select(
+          filters.antecedent,
+          (antecedent) => filter({ antecedent }),
+          valuesOf("antecedent").map((v) => [v, v]),
+          "Any antecedent"
+        )}
+        {select(
+          filters.consequence,
+          (consequence) => filter({ consequence }),
+          valuesOf("consequence").map((v) => [v, v]),
+          "Any consequence"
+        )}
+        <select
+          className="border rounded-xl px-2 py-1 text-sm"
+          value={filters.minIntensity}
+          onChange={(e) => filter({ minIntensity: Number(e.target.value) })}
+        >
+          <option value={0}>Any intensity</option>
+          {[2, 3, 4, 5].map((n) => (
+            <option key={n} value={n}>
+              {n}+ ({intensityLabels[n]})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <ul className="divide-y">
+        {shown.map((x) => (
+          <li key={x.id} className="py-3 text-sm">
+            <div className="flex items-start justify-between gap-3">
+              <div className="min-w-0 space-y-0.5">
+                <div className="font-semibold text-slate-700">
+                  <span className="text-slate-400 mr-2">{x.at.replace("T", " ")}</span>
+                  {x.behaviorId
+                    ? `${behaviorIcon(byId[x.behaviorId])} ${behaviorLabel(byId, x.behaviorId)}`
+                    : "Incident"}
+                  {x.intensity > 0 && (
+                    <span className="ml-2 text-xs font-normal rounded-full border border-rose-200 text-rose-700 px-2">
+                      {x.intensity}/5 {intensityLabels[x.intensity]}
+                    </span>
+                  )}
+                  {x.minutes > 0 && (
+                    <span className="ml-2 text-xs font-normal text-slate-500">
+                      {fmtMinutes(x.minutes)}
+                    </span>
+                  )}
+                </div>
+                <div>
+                  <b className="text-slate-500">A</b> {x.antecedent || "—"}
+                </div>
+                <div>
+                  <b className="text-slate-500">B</b> {x.description}
+                </div>
+                <div>
+                  <b className="text-slate-500">C</b> {x.consequence || "—"}
+                </div>
+                <div className="text-xs text-slate-400">{memberName(profile, fid, x.by)}</div>
+              </div>
+              {canChange(x) && (
+                <div className="flex gap-2 shrink-0">
+                  <Btn className="px-2 py-1" onClick={() => setEditing(x)}>
+                    Edit
+                  </Btn>
+                  <Btn className="px-2 py-1 text-rose-700" onClick={() => remove(x)}>
+                    ✕
+                  </Btn>
+                </div>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+      {shown.length === 0 && (
+        <div className="text-sm text-slate-500">
+          {incidents.length
+            ? "No incidents match these filters."
+            : "No incidents logged in this range."}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function CountBars({ rows, color }) {
+  const top = Math.max(1, ...rows.map(([, n]) => n));
+  return (
+    <ul className="space-y-1">
+      {rows.map(([label, n]) => (
+        <li
+          key={label}
+          className="grid grid-cols-[minmax(0,10rem)_1fr_auto] items-center gap-2 text-sm"
+        >
+          <span className="truncate text-slate-700" title={label}>
+            {label}
+          </span>
+          <span className="h-2.5 rounded-full bg-slate-100 overflow-hidden">
+            <span className={`block h-full ${color}`} style={{ width: `${(n / top) * 100}%` }} />
+          </span>
+          <span className="text-slate-500 w-6 text-right">{n}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Report section: when incidents happen, what set them off and how they were handled.
+function IncidentSummary({ incidents, dayParts, label }) {
+  const s = useMemo(() => summarizeIncidents(incidents, dayParts), [incidents, dayParts]);
+  const tone = "border-slate-200 text-slate-700";
+  return (
+    <Card
+      title="Incidents (ABC)"
+      right={<Ribbon text={label} color="border-rose-200 text-rose-700" />}
+    >
+      {s.total === 0 ? (
+        <div className="text-sm text-slate-500">No incidents logged in this period.</div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-2">
+            <Ribbon text={`${s.total} incident${s.total === 1 ? "" : "s"}`} color={tone} />
+            {s.avgIntensity !== null && (
+              <Ribbon text={`Avg intensity ${s.avgIntensity}/5`} color={tone} />
+            )}
+            {s.minutes > 0 && <Ribbon text={`${fmtMinutes(s.minutes)} in total`} color={tone} />}
+          </div>
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <h4 className="font-semibold text-slate-700 mb-2">Time of day</h4>
+              <CountBars rows={s.byPart} color="bg-indigo-400" />
+            </div>
+            <div>
+              <h4 className="font-semibold text-slate-700 mb-2">Antecedents</h4>
+              <CountBars rows={s.byAntecedent} color="bg-amber-400" />
+            </div>
+            <div>
+              <h4 className="font-semibold text-slate-700 mb-2">Consequences</h4>
+              <CountBars rows={s.byConsequence} color="bg-rose-400" />
+            </div>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+/*********** Family dashboard ***********/
+const rankMedals = ["🥇", "🥈", "🥉"];
+
+// Shares the report period with the Report tab.
+function FamilyDashboard({
+  fid,
+  profile,
+  reportMode,
+  reportDate,
+  onModeChange,
+  onDateChange,
+  range,
+  rollupsReady,
+}) {
+  const [hideRanking, setHideRanking] = useState(
+    () => localStorage.getItem(`hideRanking:${fid}`) === "1"
+  );
+  const [stacked, setStacked] = useState(false);
+  const toggleRanking = (hide) => {
+    localStorage.setItem(`hideRanking:${fid}`, hide ? "1" : "0");
+    setHideRanking(hide);
+  };
+
+  // archived children only while the period still overlaps their active time
+  const children = useMemo(
+    () => childrenForPeriod(profile, range.start),
+    [profile, range.start]
+  );
+  const byId = useMemo(
+    () => behaviorMap(profile.behaviors, profile.schoolTerms, profile.dayParts),
+    [profile.behaviors, profile.schoolTerms, profile.dayParts]
+  );
+  const tiers = getTiers(profile);
+  const days = useFamilyPeriodDays(
+    fid,
+    children.map((c) => c.id),
+    range.start,
+    range.end,
+    rollupsReady
+  );
+
+  const stats = useMemo(
+    () =>
+      Object.fromEntries(
+        children.map((c) => [c.id, periodStatsFrom(days[c.id] || {}, byId, range)])
+      ),
+    [children, days, byId, range]
+  );
+
+  // one row per day with a column per child
+  const series = useMemo(
+    () =>
+      eachDayISO(range.start, range.end).map((iso, i) => ({
+        date: iso.slice(5),
+        ...Object.fromEntries(children.map((c) => [c.id, stats[c.id].series[i].total])),
+      })),
+    [children, stats, range]
+  );
+
+  const ordered = hideRanking
+    ? children
+    : children.slice().sort((a, b) => stats[b.id].stat.total - stats[a.id].stat.total);
+
+  // every behavior on at least one child's list, in settings order
+  const behaviorLists = Object.fromEntries(
+    children.map((c) => [c.id, new Set(childBehaviors(profile, c.id).map((b) => b.id))])
+  );
+  const shownBehaviors = profile.behaviors.filter(
+    (b) =>
+      children.some((c) => behaviorLists[c.id].has(b.id)) ||
+      (isArchived(b) && children.some((c) => b.id in stats[c.id].stat.byBehavior))
+  );
+
+  return (
+    <Card
+      title="Family Dashboard"
+      right={<Ribbon text={range.label || ""} color="border-slate-200 text-slate-600" />}
+    >
+      <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-slate-600">
+        <div className="flex items-center gap-2">
+          <select
+            className="border rounded-xl px-3 py-2"
+            value={reportMode}
+            onChange={(e) => onModeChange(e.target.value)}
+          >
+            {periodModes.map((m) => (
+              <option key={m} value={m}>
+                {m[0].toUpperCase() + m.slice(1)}
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            className="border rounded-xl px-3 py-2"
+            value={reportDate}
+            onChange={(e) => onDateChange(e.target.value)}
+          />
+        </div>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={hideRanking}
+            onChange={(e) => toggleRanking(e.target.checked)}
+          />
+          Hide ranking
+        </label>
+        <label className="flex items-center gap-2">
+          Chart:
+          <select
+            className="border rounded-xl px-2 py-1"
+            value={stacked ? "stacked" : "grouped"}
+            onChange={(e) => setStacked(e.target.value === "stacked")}
+          >
+            <option value="grouped">Side by side</option>
+            <option value="stacked">Stacked</option>
+          </select>
+        </label>
+      </div>
+
+      <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-3 mb-6">
+        {ordered.map((c, i) => {
+          const total = stats[c.id].stat.total;
+          const possible = possiblePoints(
+            childBehaviors(profile, c.id),
+            byId,
+            days[c.id] || {},
+            range.start,
+            range.end
+          );
+          const tier = tierFor(tiers, reportMode, total, possible);
+          return (
+            <div key={c.id} className="border rounded-2xl bg-white p-4">
+              <div className="flex items-center justify-between">
+                <span className="font-semibold text-slate-800">
+                  {!hideRanking && total > 0 && rankMedals[i]} {c.name}
+                </span>
+                <span className="text-lg font-bold text-indigo-700">{total} pts</span>
+              </div>
+              <div className="text-sm text-slate-500 mt-1">
+                {tier ? (
+                  <span className="text-emerald-700">
+                    {tier.emoji} {tier.label}
+                  </span>
+                ) : (
+                  "No tier yet"
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <h4 className="font-semibold text-slate-700 mb-2">Daily Totals ({reportMode})</h4>
+      <div className="w-full h-64 mb-6">
+        <ResponsiveContainer>
+          <ComposedChart data={series} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="date" />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Legend />
+            {children.map((c, i) => (
+              <Bar
+                key={c.id}
+                dataKey={c.id}
+                name={c.name}
+                stackId={stacked ? "family" : undefined}
+                fill={chartColors[i % chartColors.length]}
+              />
+            ))}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <h4 className="font-semibold text-slate-700 mb-2">By Behavior</h4>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-slate-500 text-left">
+              <th className="font-normal py-1">Behavior</th>
+              {children.map((c) => (
+                <th key={c.id} className="font-normal text-right px-2">
+                  {c.name}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {shownBehaviors.map((b) => {
+              const values = children
+                .filter((c) => behaviorLists[c.id].has(b.id))
+                .map((c) => stats[c.id].stat.byBehavior[b.id] || 0);
+              const best = values.length > 1 ? Math.max(...values) : null;
+              return (
+                <tr key={b.id}>
+                  <td className="py-1 text-slate-700">
+                    {behaviorIcon(b)} {b.label}
+                  </td>
+                  {children.map((c) => {
+                    if (!behaviorLists[c.id].has(b.id))
+                      return (
+                        <td key={c.id} className="text-right px-2 text-slate-300">
+                          –
+                        </td>
+                      );
+                    const v = stats[c.id].stat.byBehavior[b.id] || 0;
+                    return (
+                      <td
+                        key={c.id}
+                        className={`text-right px-2 ${v >= 0 ? "text-emerald-700" : "text-rose-700"} ${
+                          !hideRanking && v === best && v > 0 ? "font-bold" : ""
+                        }`}
+                      >
+                        {v}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+}
+
+/*********** Notifications ***********/
+function NotificationSettings({ user, settings }) {
+  const [permission, setPermission] = useState(() =>
+    typeof Notification === "undefined" ? "unsupported" : Notification.permission
+  );
+  const save = (patch) =>
+    trackWrite(
+      store.set(
+        `users/${user.uid}`,
+        { notifications: { ...settings, ...patch } },
+        { merge: true }
+      )
+    );
+
+  const enable = async () => {
+    const result = await Notification.requestPermission();
+    setPermission(result);
+    if (result === "granted") save({ enabled: true });
+  };
+
+  if (permission === "unsupported")
+    return (
+      <Card title="Reminders">
+        <div className="text-sm text-slate-500">
+          This browser can't show notifications.
+        </div>
+      </Card>
+    );
+
+  return (
+    <Card
+      title="Reminders"
+      right={
+        <span className="text-xs text-slate-500">Your own settings</span>
+      }
+    >
+      {!settings.enabled || permission !== "granted" ? (
+        <div className="flex items-center gap-3 text-sm text-slate-600">
+          <span>
+            {permission === "denied"
+              ? "Notifications are blocked for this site in the browser settings."
+              : "Get a nudge when it's time to fill in the tracker."}
+          </span>
+          {permission !== "denied" && (
+            <Btn className="bg-indigo-600 text-white border-indigo-600" onClick={enable}>
+              Turn on reminders
+            </Btn>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-3 text-sm text-slate-700">
+          <label className="flex flex-wrap items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.daily}
+              onChange={(e) => save({ daily: e.target.checked })}
+            />
+            Daily reminder at
+            <input
+              type="time"
+              className="border rounded-xl px-2 py-1"
+              value={settings.dailyTime}
+              onChange={(e) => e.target.value && save({ dailyTime: e.target.value })}
+            />
+          </label>
+          <label className="flex items-center gap-2 pl-6">
+            <input
+              type="checkbox"
+              checked={settings.onlyIfEmpty}
+              onChange={(e) => save({ onlyIfEmpty: e.target.checked })}
+            />
+            Only if nothing is logged yet for a child that day
+          </label>
+          <label className="flex flex-wrap items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.weekly}
+              onChange={(e) => save({ weekly: e.target.checked })}
+            />
+            Weekly summary on
+            <select
+              className="border rounded-xl px-2 py-1"
+              value={settings.weeklyDay}
+              onChange={(e) => save({ weeklyDay: Number(e.target.value) })}
+            >
+              {weekdayNames.map((d, i) => (
+                <option key={d} value={i}>
+                  {d}
+                </option>
+              ))}
+            </select>
+            at
+            <input
+              type="time"
+              className="border rounded-xl px-2 py-1"
+              value={settings.weeklyTime}
+              onChange={(e) => e.target.value && save({ weeklyTime: e.target.value })}
+            />
+          </label>
+          <div className="flex gap-2">
+            <Btn
+              onClick={() =>
+                showReminder("Reminders are on", "This is what a reminder looks like.", "test")
+              }
+            >
+              Send test
+            </Btn>
+            <Btn className="text-rose-700" onClick={() => save({ enabled: false })}>
+              Turn off
+            </Btn>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+/*********** Kid mode ***********/
+// The parent PIN is stored as a salted SHA-256 hash on the family profile.
+async function hashPin(fid, pin) {
+  const buf = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(`${fid}:${pin}`)
+  );
+  return Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+const kidModeKey = (fid) => `kidMode:${fid}`;
+
+function KidView({ fid, profile, child, balance, tiers, rollupsReady, onRequest, onExit }) {
+  const today = todayStr();
+  const [entry, setEntry] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [pin, setPin] = useState("");
+  const [askPin, setAskPin] = useState(false);
+  const [pinErr, setPinErr] = useState("");
+
+  useEffect(
+    () => store.watch(`users/${fid}/entries/${child.id}_${today}`, (data) => setEntry(data || {})),
+    [fid, child.id, today]
+  );
+
+  useEffect(
+    () =>
+      store.watchList(
+        `users/${fid}/requests`,
+        [
+          ["childId", "==", child.id],
+          ["date", "==", today],
+        ],
+        (docs) => setRequests(docs.map((d) => ({ id: d.id, ...d.data })))
+      ),
+    [fid, child.id, today]
+  );
+
+  const behaviors = childBehaviors(profile, child.id);
+  const byId = useMemo(
+    () => behaviorMap(profile.behaviors, profile.schoolTerms, profile.dayParts),
+    [profile.behaviors, profile.schoolTerms, profile.dayParts]
+  );
+  const week = useMemo(() => getRange("week", today), [today]);
+  const weekDays = usePeriodDays(fid, child.id, week.start, week.end, rollupsReady);
+  const weekTotal = useMemo(
+    () => periodStatsFrom(weekDays, byId, week).stat.total,
+    [weekDays, byId, week]
+  );
+  const weekPossible = possiblePoints(behaviors, byId, weekDays, week.start, week.end);
+
+  const todayPoints = dayPoints(entry, today, byId);
+  const { reached, next, pct } = tierProgress(tiers, "week", weekTotal, weekPossible);
+  // per-part behaviors show and request the part the kid is in right now
+  const part = currentDayPart(getDayParts(profile))?.id;
+  const partOf = (b) => (part && byId[b.id]?.byPart ? part : null);
+
+  const tryExit = async (e) => {
+    e.preventDefault();
+    // a restore with "replace" clears the PIN; there is nothing left to check
+    if (!profile.parentPinHash || (await hashPin(fid, pin)) === profile.parentPinHash) onExit();
+    else {
+      setPinErr("That's not the right PIN.");
+      setPin("");
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-50 via-pink-50 to-sky-100">
+      <div className="max-w-3xl mx-auto px-4 py-6 space-y-6">
+        <div className="flex items-center justify-between">
+          <h1 className="text-4xl font-extrabold text-indigo-700">Hi {child.name}! 👋</h1>
+          <button
+            className="text-xs text-slate-400 underline"
+            onClick={() => setAskPin(true)}
+          >
+            🔒 Parent
+          </button>
+        </div>
+
+        {askPin && (
+          <form onSubmit={tryExit} className="flex flex-wrap items-center gap-2">
+            <input
+              autoFocus
+              type="password"
+              inputMode="numeric"
+              className="border rounded-xl px-3 py-2"
+              placeholder="Parent PIN"
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+            />
+            <Btn type="submit" className="bg-slate-800 text-white border-slate-800">
+              Exit kid mode
+            </Btn>
+            <Btn type="button" onClick={() => setAskPin(false)}>
+              Cancel
+            </Btn>
+            {pinErr && <span className="text-sm text-rose-600">{pinErr}</span>}
+          </form>
+        )}
+
+        <div className="grid sm:grid-cols-2 gap-4">
+          <div className="rounded-3xl bg-white/80 border p-6 text-center shadow-sm">
+            <div className="text-6xl">⭐</div>
+            <div className="text-5xl font-extrabold text-amber-500">{todayPoints}</div>
+            <div className="text-slate-500">stars today</div>
+          </div>
+          <div className="rounded-3xl bg-white/80 border p-6 text-center shadow-sm">
+            <div className="text-6xl">🪙</div>
+            <div className="text-5xl font-extrabold text-emerald-600">{balance}</div>
+            <div className="text-slate-500">points saved up</div>
+          </div>
+        </div>
+
+        <div className="rounded-3xl bg-white/80 border p-6 shadow-sm">
+          <div className="flex items-center justify-between mb-2 text-lg font-semibold text-slate-700">
+            <span>This week: {weekTotal} pts</span>
+            <span>
+              {next
+                ? `${next.emoji} ${next.label} at ${next.target}`
+                : reached && `${reached.emoji} Top tier!`}
+            </span>
+          </div>
+          <div className="h-6 rounded-full bg-slate-100 overflow-hidden">
+            <div
+              className="h-full bg-gradient-to-r from-amber-300 to-emerald-400 transition-all"
+              style={{ width: `${pct}%` }}
+            />
+          </div>
+          {reached && (
+            <div className="mt-2 text-emerald-700 font-semibold">
+              You reached {reached.emoji} {reached.label}!
+            </div>
+          )}
+        </div>
+
+        <div className="rounded-3xl bg-white/80 border p-4 shadow-sm">
+          <h2 className="text-xl font-bold text-slate-700 mb-2">My goals today</h2>
+          <ul className="divide-y">
+            {behaviors.filter((b) => countsOn(byId[b.id], today, entry)).map((b) => {
+              const bPart = partOf(b);
+              const val = (bPart ? entry?.parts?.[bPart]?.[b.id] : entry?.items?.[b.id]) || 0;
+              const pts = itemPoints(b, val);
+              const pending = requests.some(
+                (r) =>
+                  r.behaviorId === b.id && r.status === "pending" && (r.part || null) === bPart
+              );
+              // one tap adds one; ratings and minutes are for parents to enter
+              const selfReport =
+                ["tally", "yesno", "counter"].includes(behaviorType(b)) &&
+                behaviorWeight(b) > 0;
+              return (
+                <li key={b.id} className="flex items-center justify-between py-3 gap-3">
+                  <span className="flex items-center gap-3 text-lg text-slate-700">
+                    <span className="text-3xl">{behaviorIcon(b)}</span>
+                    {b.label}
+                  </span>
+                  <span className="flex items-center gap-2 shrink-0">
+                    <span className="text-2xl">
+                      {pts > 0 ? "⭐".repeat(Math.min(pts, 5)) : pts < 0 ? "☁️" : ""}
+                    </span>
+                    {selfReport &&
+                      val < behaviorRange(b).max &&
+                      (pending ? (
+                        <span className="text-sm text-slate-400">Waiting…</span>
+                      ) : (
+                        <Btn
+                          className="border-amber-300 text-amber-700"
+                          onClick={() => onRequest(child.id, today, b.id, bPart)}
+                        >
+                          I did it!
+                        </Btn>
+                      ))}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/*********** Family ***********/
+function FamilyMembers({ user, fid, role, profile }) {
+  const [invites, setInvites] = useState([]);
+  const [inviteRole, setInviteRole] = useState("coparent");
+  const [joinCode, setJoinCode] = useState("");
+  const [err, setErr] = useState("");
+  const isOwner = can(role, "members");
+
+  useEffect(() => {
+    if (!isOwner) return;
+    return store.watchList("invites", [["familyId", "==", fid]], (docs) =>
+      setInvites(docs.map((d) => ({ code: d.id, ...d.data })))
+    );
+  }, [fid, isOwner]);
+
+  const members = [
+    { uid: fid, email: profile.email, role: "owner" },
+    ...Object.entries(profile.members || {})
+      .filter(([uid]) => uid !== fid)
+      .map(([uid, m]) => ({ uid, ...m })),
+  ];
+
+  const run = (p) => {
+    setErr("");
+    trackWrite(p).catch((e) => setErr(e.message));
+  };
+
+  return (
+    <Card
+      title="Family Members"
+      right={
+        <Ribbon
+          text={`You: ${roleLabels[role] || role}`}
+          color="border-slate-200 text-slate-600"
+        />
+      }
+    >
+      <ul className="space-y-2">
+        {members.map((m) => (
+          <li
+            key={m.uid}
+            className="flex items-center justify-between border rounded-xl px-3 py-2"
+          >
+            <span className="text-sm">
+              {m.email || m.uid}
+              {m.uid === user.uid && <span className="text-slate-400"> (you)</span>}
+            </span>
+            {isOwner && m.role !== "owner" ? (
+              <div className="flex gap-2">
+                <select
+                  className="border rounded-xl px-2 py-1 text-sm"
+                  value={m.role}
+                  onChange={(e) =>
+                    run(
+                      store.update(`users/${fid}`, {
+                        [`members.${m.uid}.role`]: e.target.value,
+                      })
+                    )
+                  }
+                >
+                  {["coparent", "caregiver", "viewer"].map((r) => (
+                    <option key={r} value={r}>
+                      {roleLabels[r]}
+                    </option>
+                  ))}
+                </select>
+                <Btn
+                  className="text-rose-700"
+                  onClick={() => {
+                    if (!confirm(`Remove ${m.email || "member"} from the family?`)) return;
+                    run(
+                      store.update(`users/${fid}`, {
+                        [`members.${m.uid}`]: deleteField(),
+                      })
+                    );
+                  }}
+                >
+                  Remove
+                </Btn>
+              </div>
+            ) : (
+              <span className="text-sm text-slate-500">
+                {roleLabels[m.role] || m.role}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {isOwner && (
+        <div className="mt-4">
+          <h4 className="font-semibold mb-2">Invite</h4>
+          <div className="text-sm text-slate-500 mb-2">Each code lets one person join.</div>
+          <div className="flex flex-wrap gap-2 items-center">
+            <select
+              className="border rounded-xl px-3 py-2"
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+            >
+              {["coparent", "caregiver", "viewer"].map((r) => (
+                <option key={r} value={r}>
+                  {roleLabels[r]}
+                </option>
+              ))}
+            </select>
+            <Btn
+              className="border-indigo-300 text-indigo-700"
+              onClick={() =>
+                run(
+                  store.set(`invites/${newInviteCode()}`, {
+                    familyId: fid,
+                    role: inviteRole,
+                    createdBy: user.uid,
+                    createdAt: new Date().toISOString(),
+                  })
+                )
+              }
+            >
+              + Create invite code
+            </Btn>
+          </div>
+          <ul className="mt-2 space-y-1">
+            {invites.map((inv) => (
+              <li key={inv.code} className="flex items-center gap-3 text-sm">
+                <code className="font-mono font-semibold tracking-wider">
+                  {inv.code}
+                </code>
+                <span className="text-slate-500">{roleLabels[inv.role]}</span>
+                <button
+                  className="underline text-rose-700"
+                  onClick={() => run(store.remove(`invites/${inv.code}`))}
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="mt-4 flex flex-wrap gap-2 items-center">
+        {fid !== user.uid ? (
+          <Btn
+            className="text-rose-700"
+            onClick={() => {
+              if (!confirm("Leave this family?")) return;
+              leaveFamily(user, fid).catch((e) => setErr(e.message));
+            }}
+          >
+            Leave family
+          </Btn>
+        ) : (
+          <>
+            <input
+              className="border rounded-xl px-3 py-2 uppercase"
+              placeholder="Invite code"
+              value={joinCode}
+              onChange={(e) => setJoinCode(e.target.value)}
+            />
+            <Btn
+              disabled={!joinCode.trim()}
+              onClick={() => {
+                if (
+                  !confirm(
+                    "Join another family? Your own children and history stay in this account but won't be shown while you're a member."
+                  )
+                )
+                  return;
+                joinFamily(user, joinCode).catch((e) => setErr(e.message));
+              }}
+            >
+              Join a family
+            </Btn>
+          </>
+        )}
+      </div>
+      {err && <div className="mt-2 text-red-600 text-sm">{err}</div>}
+    </Card>
+  );
+}
+
+/*********** Reward Settings ***********/
+function TierEditor({ tiers, onSave }) {
+  const [draft, setDraft] = useState(tiers);
+  // reset only when the saved tiers change, not on every profile snapshot
+  const saved = JSON.stringify(tiers);
+  useEffect(() => setDraft(JSON.parse(saved)), [saved]);
+
+  const edit = (i, patch) =>
+    setDraft((d) => d.map((t, j) => (j === i ? { ...t, ...patch } : t)));
+  const editMin = (i, mode, v) =>
+    setDraft((d) =>
+      d.map((t, j) => {
+        if (j !== i) return t;
+        const min =
+          typeof t.min === "number"
+            ? Object.fromEntries(periodModes.map((m) => [m, t.min]))
+            : { ...t.min };
+        min[mode] = Math.max(0, Number(v) || 0);
+        return { ...t, min };
+      })
+    );
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-[3rem_1fr_7rem_repeat(4,4.5rem)_auto] gap-2 text-xs text-slate-500 px-1">
+        <span>Emoji</span>
+        <span>Name</span>
+        <span>Goal</span>
+        {periodModes.map((m) => (
+          <span key={m} className="capitalize">
+            {m}
+          </span>
+        ))}
+        <span />
+      </div>
+      {draft.map((t, i) => (
+        <div
+          key={t.id}
+          className="grid grid-cols-[3rem_1fr_7rem_repeat(4,4.5rem)_auto] gap-2 items-center"
+        >
+          <input
+            className="border rounded-xl px-2 py-1 text-center"
+            value={t.emoji}
+            onChange={(e) => edit(i, { emoji: e.target.value })}
+          />
+          <input
+            className="border rounded-xl px-2 py-1"
+            value={t.label}
+            onChange={(e) => edit(i, { label: e.target.value })}
+          />
+          <select
+            className="border rounded-xl px-2 py-1"
+            value={t.pct != null ? "percent" : "points"}
+            onChange={(e) => {
+              const { pct: _pct, ...rest } = t;
+              setDraft((d) =>
+                d.map((x, j) =>
+                  j !== i ? x : e.target.value === "percent" ? { ...rest, pct: 50 } : rest
+                )
+              );
+            }}
+          >
+            <option value="points">Points</option>
+            <option value="percent">% possible</option>
+          </select>
+          {t.pct != null ? (
+            <label className="col-span-4 flex items-center gap-2 text-sm text-slate-500">
+              <input
+                type="number"
+                min="0"
+                max="100"
+                className="border rounded-xl px-2 py-1 w-20"
+                value={t.pct}
+                onChange={(e) => edit(i, { pct: clamp(Number(e.target.value) || 0, 0, 100) })}
+              />
+              % of the points possible in any period
+            </label>
+          ) : (
+            periodModes.map((m) => (
+              <input
+                key={m}
+                type="number"
+                min="0"
+                className="border rounded-xl px-2 py-1"
+                value={tierMin(t, m)}
+                onChange={(e) => editMin(i, m, e.target.value)}
+              />
+            ))
+          )}
+          <Btn
+            className="text-rose-700"
+            onClick={() => setDraft((d) => d.filter((_, j) => j !== i))}
+          >
+            ✕
+          </Btn>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <Btn
+          onClick={() =>
+            setDraft((d) => [
+              ...d,
+              {
+                id: uidLocal(),
+                label: "New tier",
+                emoji: "🏅",
+                min: { day: 0, week: 0, month: 0, year: 0 },
+              },
+            ])
+          }
+        >
+          + Add Tier
+        </Btn>
+        <Btn
+          className="bg-indigo-600 text-white border-indigo-600"
+          onClick={() => onSave(draft.filter((t) => t.label.trim()))}
+        >
+          Save Tiers
+        </Btn>
+      </div>
+    </div>
+  );
+}
+
+function BadgeList({ badges, empty }) {
+  if (!badges.length) return <div className="text-sm text-slate-500">{empty}</div>;
+  return (
+    <div className="grid sm:grid-cols-2 gap-2">
+      {badges.map((b) => (
+        <div key={b.id} className="flex items-center gap-3 rounded-xl border bg-white px-3 py-2">
+          <span className="text-2xl">{b.icon}</span>
+          <div className="min-w-0">
+            <div className="text-sm font-medium text-slate-800 truncate">{b.label}</div>
+            <div className="text-xs text-slate-500">
+              {b.detail && `${b.detail} · `}earned {b.date}
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function AchievementRuleEditor({ rules, behaviors, onSave }) {
+  const [draft, setDraft] = useState(rules);
+  // unsaved edits survive re-renders; only a newly saved value replaces them
+  const saved = JSON.stringify(rules);
+  useEffect(() => setDraft(JSON.parse(saved)), [saved]);
+
+  const edit = (i, patch) =>
+    setDraft((d) => d.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+
+  return (
+    <div className="space-y-2">
+      {draft.length > 0 && (
+        <div className="grid grid-cols-[3rem_1fr_9rem_9rem_4.5rem_auto] gap-2 text-xs text-slate-500 px-1">
+          <span>Icon</span>
+          <span>Name</span>
+          <span>Behavior</span>
+          <span>Rule</span>
+          <span>Target</span>
+          <span />
+        </div>
+      )}
+      {draft.map((r, i) => (
+        <div
+          key={r.id}
+          className="grid grid-cols-[3rem_1fr_9rem_9rem_4.5rem_auto] gap-2 items-center"
+        >
+          <input
+            className="border rounded-xl px-2 py-1 text-center"
+            value={r.icon}
+            onChange={(e) => edit(i, { icon: e.target.value })}
+          />
+          <input
+            className="border rounded-xl px-2 py-1"
+            value={r.label}
+            onChange={(e) => edit(i, { label: e.target.value })}
+          />
+          <select
+            className="border rounded-xl px-2 py-1"
+            value={r.behaviorId}
+            onChange={(e) => edit(i, { behaviorId: e.target.value })}
+          >
+            <option value="">Any (day total)</option>
+            {behaviors.map((b) => (
+              <option key={b.id} value={b.id}>
+                {b.label}
+              </option>
+            ))}
+          </select>
+          <select
+            className="border rounded-xl px-2 py-1"
+            value={r.type}
+            onChange={(e) => edit(i, { type: e.target.value })}
+          >
+            {Object.entries(achievementTypes).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="1"
+            className="border rounded-xl px-2 py-1"
+            value={r.target}
+            onChange={(e) => edit(i, { target: Math.max(1, Number(e.target.value) || 1) })}
+          />
+          <Btn
+            className="text-rose-700"
+            onClick={() => setDraft((d) => d.filter((_, j) => j !== i))}
+          >
+            ✕
+          </Btn>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <Btn
+          onClick={() =>
+            setDraft((d) => [
+              ...d,
+              {
+                id: uidLocal(),
+                label: "New achievement",
+                icon: "🏅",
+                behaviorId: "",
+                type: "streak",
+                target: 5,
+              },
+            ])
+          }
+        >
+          + Add Achievement
+        </Btn>
+        <Btn
+          className="bg-indigo-600 text-white border-indigo-600"
+          onClick={() => onSave(draft.filter((r) => r.label.trim()))}
+        >
+          Save Achievements
+        </Btn>
+      </div>
+    </div>
+  );
+}
 
-  const COLORS = [
-    "#6366F1",
-    "#10B981",
-    "#F59E0B",
-    "#EF4444",
-    "#06B6D4",
-    "#8B5CF6",
-    "#14B8A6",
-    "#84CC16",
-    "#F43F5E",
-    "#22C55E",
-    "#A855F7",
-    "#EAB308",
-  ];
+function RewardCatalogEditor({ rewards, onSave }) {
+  const [draft, setDraft] = useState(rewards);
+  const saved = JSON.stringify(rewards);
+  useEffect(() => setDraft(JSON.parse(saved)), [saved]);
 
-  if (data.length === 0) {
-    return (
-      <div className="text-sm text-slate-500">
-        No positive points yet for this period.
-      </div>
-    );
-  }
+  const edit = (i, patch) =>
+    setDraft((d) => d.map((r, j) => (j === i ? { ...r, ...patch } : r)));
 
   return (
-    <div className="w-full h-64">
-      <ResponsiveContainer>
-        <PieChart>
-          <Pie data={data} dataKey="value" nameKey="name" outerRadius={80} innerRadius={40}>
-            {data.map((_, i) => (
-              <Cell key={i} fill={COLORS[i % COLORS.length]} />
-            ))}
-          </Pie>
-          <Tooltip formatter={(v) => `${v} pts`} />
-          <Legend verticalAlign="bottom" height={24} />
-        </PieChart>
-      </ResponsiveContainer>
+    <div className="space-y-2">
+      {draft.map((r, i) => (
+        <div
+          key={r.id}
+          className="grid grid-cols-[3rem_1fr_5rem_auto] gap-2 items-center"
+        >
+          <input
+            className="border rounded-xl px-2 py-1 text-center"
+            value={r.emoji}
+            onChange={(e) => edit(i, { emoji: e.target.value })}
+          />
+          <input
+            className="border rounded-xl px-2 py-1"
+            value={r.label}
+            onChange={(e) => edit(i, { label: e.target.value })}
+          />
+          <input
+            type="number"
+            min="1"
+            className="border rounded-xl px-2 py-1"
+            value={r.cost}
+            onChange={(e) => edit(i, { cost: Math.max(1, Number(e.target.value) || 1) })}
+          />
+          <Btn
+            className="text-rose-700"
+            onClick={() => setDraft((d) => d.filter((_, j) => j !== i))}
+          >
+            ✕
+          </Btn>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <Btn
+          onClick={() =>
+            setDraft((d) => [
+              ...d,
+              { id: uidLocal(), label: "New reward", emoji: "🎁", cost: 10 },
+            ])
+          }
+        >
+          + Add Reward
+        </Btn>
+        <Btn
+          className="bg-indigo-600 text-white border-indigo-600"
+          onClick={() => onSave(draft.filter((r) => r.label.trim()))}
+        >
+          Save Rewards
+        </Btn>
+      </div>
     </div>
   );
 }
 
-// ====== UI Bits ======
-const Btn = ({ className = "", ...p }) => (
-  <button
-    {...p}
-    className={
-      "px-3 py-2 rounded-xl shadow-sm border text-sm hover:opacity-90 active:scale-[.98] transition " +
-      className
-    }
-  />
-);
-const Card = ({ title, right, children }) => (
-  <div className="bg-white/90 backdrop-blur border rounded-2xl p-4 shadow-sm">
-    <div className="flex items-center justify-between mb-2">
-      <h3 className="font-semibold text-slate-800">{title}</h3>
-      <div>{right}</div>
-    </div>
-    {children}
-  </div>
-);
-const Ribbon = ({ text, color }) => (
-  <div
-    className={`inline-flex items-center gap-2 px-3 py-1 rounded-full text-xs font-semibold border ${color}`}
-  >
-    {text}
-  </div>
-);
-
 /*********** Auth ***********/
 function Login() {
   const [mode, setMode] = useState("login");
   const [email, setEmail] = useState("");
   const [pw, setPw] = useState("");
+  const [invite, setInvite] = useState("");
   const [err, setErr] = useState("");
   const [info, setInfo] = useState("");
 
@@ -267,15 +4565,22 @@ function Login() {
     setInfo("");
     try {
       if (mode === "login") {
-        await signInWithEmailAndPassword(auth, email, pw);
+        await store.signIn(email, pw);
       } else {
-        const cred = await createUserWithEmailAndPassword(auth, email, pw);
-        const userRef = doc(db, "users", cred.user.uid);
-        await setDoc(userRef, {
-          email,
-          children: defaultChildren,
-          behaviors: defaultBehaviors,
-        });
+        const newUser = await store.signUp(email, pw);
+        if (invite.trim()) {
+          await joinFamily(newUser, invite);
+          return;
+        }
+        await store.set(
+          `users/${newUser.uid}`,
+          {
+            email,
+            children: defaultChildren,
+            behaviors: defaultBehaviors,
+          },
+          { merge: true }
+        );
       }
     } catch (e) {
       setErr(e.message);
@@ -288,7 +4593,7 @@ function Login() {
     const addr = email || prompt("Enter your email for password reset");
     if (!addr) return;
     try {
-      await sendPasswordResetEmail(auth, addr.trim());
+      await store.resetPassword(addr.trim());
       setInfo("Password reset email sent. Please check your inbox.");
     } catch (e) {
       setErr(e.message);
@@ -319,6 +4624,14 @@ function Login() {
             value={pw}
             onChange={(e) => setPw(e.target.value)}
           />
+          {mode === "signup" && (
+            <input
+              className="w-full border rounded-xl px-3 py-2 uppercase"
+              placeholder="Family invite code (optional)"
+              value={invite}
+              onChange={(e) => setInvite(e.target.value)}
+            />
+          )}
           {err && <div className="text-red-600 text-sm">{err}</div>}
           {info && <div className="text-emerald-700 text-sm">{info}</div>}
           <Btn
@@ -348,147 +4661,756 @@ function Login() {
             </button>
           )}
         </div>
+        <div className="text-sm text-slate-500 mt-4 pt-3 border-t">
+          <button onClick={() => switchStorageMode("local")} className="underline">
+            Use it on this device only, without an account
+          </button>
+        </div>
       </div>
     </div>
   );
 }
 
 /*********** Main App ***********/
-function TrackerApp({ user, profile }) {
+function TrackerApp({ user, fid, role, profile, notifications }) {
   const [activeTab, setActiveTab] = useState("daily");
-  const [childId, setChildId] = useState(profile.children[0]?.id);
+  const [childId, setChildId] = useState(() => {
+    // reopen on the kid-mode child so its balance and ledger are loaded
+    const kid = localStorage.getItem(kidModeKey(fid));
+    const active = activeChildren(profile);
+    return active.some((c) => c.id === kid) ? kid : active[0]?.id;
+  });
   const [date, setDate] = useState(todayStr());
+  const [editingChildId, setEditingChildId] = useState(null); // settings panel
+  const [collapsed, setCollapsed] = useState({}); // daily tab: category -> bool
+  const [pieGroupBy, setPieGroupBy] = useState("behavior");
+  const [drillDate, setDrillDate] = useState(null); // report: day detail
+  const [showExport, setShowExport] = useState(false);
+  const [pdfBusy, setPdfBusy] = useState(false);
+  const barRef = useRef(null);
+  const pieRef = useRef(null);
   const [entry, setEntry] = useState(null); // current day entry doc
-  const behaviors = profile.behaviors.filter((b) => b.enabled);
+  const behaviors = useMemo(() => childBehaviors(profile, childId), [profile, childId]);
+  const categories = getCategories(profile);
+  // all behaviors (incl. disabled) so old entries keep their weights
+  const byId = useMemo(
+    () => behaviorMap(profile.behaviors, profile.schoolTerms, profile.dayParts),
+    [profile.behaviors, profile.schoolTerms, profile.dayParts]
+  );
+  // this parent's reminder settings, from their own users/{uid} doc
+  const notifySettings = useMemo(
+    () => ({ ...defaultNotifications, ...notifications }),
+    [notifications]
+  );
+  useReminders(fid, profile, notifySettings);
+
+  // the Daily tab only lists behaviors scheduled for the selected day
+  const dueBehaviors = behaviors.filter((b) => isDue(byId[b.id], date));
+  const groups = groupByCategory(dueBehaviors, categories);
 
   // reporting controls
   const [reportMode, setReportMode] = useState("month"); // "day" | "week" | "month" | "year"
   const [reportDate, setReportDate] = useState(todayStr()); // anchor date
 
+  // writes queued by an earlier session still count as pending
+  useEffect(() => {
+    trackWrite(store.pendingWrites()).catch(() => {});
+  }, []);
+
   // load entry for (childId, date)
   useEffect(() => {
     const entryId = `${childId}_${date}`; // unique per child per day
-    const ref = doc(db, "users", user.uid, "entries", entryId);
-    const unsub = onSnapshot(ref, (snap) => {
-      if (snap.exists()) setEntry(snap.data());
-      else setEntry({ childId, date, items: {} });
+    return store.watch(`users/${fid}/entries/${entryId}`, (data) =>
+      setEntry(data || { childId, date, items: {} })
+    );
+  }, [fid, childId, date]);
+
+  // score events for (childId, date), newest first
+  const [events, setEvents] = useState([]);
+  useEffect(
+    () =>
+      store.watchList(
+        `users/${fid}/events`,
+        [
+          ["childId", "==", childId],
+          ["date", "==", date],
+        ],
+        (docs) => {
+          const rows = docs.map((d) => ({ id: d.id, ...d.data }));
+          rows.sort((a, b) => (b.at || "").localeCompare(a.at || ""));
+          setEvents(rows);
+        }
+      ),
+    [fid, childId, date]
+  );
+  const undoable = events.filter((e) => e.kind !== "undo" && !e.undone).slice(0, 5);
+
+  // Every change is stored as an event; the entry's items map is kept in the
+  // same batch as the materialized read path.
+  // target: { childId, date, items, na, parts, part }; `part` is set only for
+  // behaviors scored per day part, and the day value is then recombined.
+  const writeItemValue = (target, behaviorId, next, event = {}, extra) => {
+    const { childId, date, part } = target;
+    const ref = `users/${fid}/entries/${childId}_${date}`;
+    const cur = (part ? target.parts?.[part]?.[behaviorId] : target.items?.[behaviorId]) || 0;
+    if (next === cur && !extra) return;
+    const now = new Date().toISOString();
+    const parts = part && { [part]: { [behaviorId]: next } };
+    const dayValue = part
+      ? combineParts(
+          byId[behaviorId],
+          { ...target.parts, [part]: { ...target.parts?.[part], [behaviorId]: next } },
+          behaviorId
+        )
+      : next;
+    const items = { ...(target.items || {}), [behaviorId]: dayValue };
+    const batch = store.batch();
+    batch.set(`users/${fid}/events/${store.newId(`users/${fid}/events`)}`, {
+      kind: "score",
+      childId,
+      date,
+      behaviorId,
+      delta: next - cur,
+      from: cur,
+      to: next,
+      at: now,
+      by: user.uid,
+      ...(part && { part }),
+      ...event,
     });
-    return () => unsub();
-  }, [user.uid, childId, date]);
-
-  const saveItem = async (behaviorId, delta) => {
-    const ref = doc(db, "users", user.uid, "entries", `${childId}_${date}`);
-    const cur = entry?.items?.[behaviorId] || 0;
-    const next = clamp(cur + delta, -1, 1);
-    await setDoc(
+    extra?.(batch);
+    batch.set(
       ref,
-      { childId, date, items: { ...(entry?.items || {}), [behaviorId]: next } },
+      {
+        childId,
+        date,
+        items,
+        ...(part && { parts }),
+        updatedBy: user.uid,
+        updatedAt: now,
+      },
+      { merge: true }
+    );
+    batch.set(
+      `users/${fid}/rollups/${rollupId(childId, date)}`,
+      { childId, month: monthKey(date), days: { [date]: { items, ...(part && { parts }) } } },
+      { merge: true }
+    );
+    batch.set(
+      `users/${fid}/ledger/${earnLedgerId(childId, date)}`,
+      earnLedgerRow(childId, date, dayPoints({ items, na: target.na }, date, byId))
+    );
+    // not awaited: offline the commit only settles once back online
+    trackWrite(batch.commit());
+  };
+
+  // Daily tab day part; behaviors without `byPart` are scored for the whole day
+  // keyed on the saved value, since every profile snapshot brings a new array
+  const savedDayParts = JSON.stringify(profile.dayParts || []);
+  const dayParts = useMemo(
+    () => getDayParts({ dayParts: JSON.parse(savedDayParts) }),
+    [savedDayParts]
+  );
+  const [partId, setPartId] = useState(() => currentDayPart(getDayParts(profile))?.id);
+  const activePart = (dayParts.find((p) => p.id === partId) || dayParts[0])?.id || null;
+  const partFor = (bid) => (activePart && byId[bid]?.byPart ? activePart : null);
+  const valueOf = (bid, part = partFor(bid)) =>
+    (part ? entry?.parts?.[part]?.[bid] : entry?.items?.[bid]) || 0;
+
+  const setItemValue = (behaviorId, next, event, extra, part = partFor(behaviorId)) =>
+    writeItemValue(
+      { childId, date, items: entry?.items, na: entry?.na, parts: entry?.parts, part },
+      behaviorId,
+      next,
+      event,
+      extra
+    );
+
+  // "N/A today" skips a behavior instead of scoring it as 0
+  const setNotApplicable = (behaviorId, on) => {
+    const na = { ...(entry?.na || {}) };
+    if (on) na[behaviorId] = true;
+    else delete na[behaviorId];
+    const mark = { [behaviorId]: on ? true : deleteField() };
+    const batch = store.batch();
+    batch.set(
+      entryRef(),
+      { childId, date, na: mark, updatedBy: user.uid, updatedAt: new Date().toISOString() },
+      { merge: true }
+    );
+    batch.set(
+      `users/${fid}/rollups/${rollupId(childId, date)}`,
+      { childId, month: monthKey(date), days: { [date]: { na: mark } } },
       { merge: true }
     );
+    batch.set(
+      `users/${fid}/ledger/${earnLedgerId(childId, date)}`,
+      earnLedgerRow(childId, date, dayPoints({ items: entry?.items, na }, date, byId))
+    );
+    trackWrite(batch.commit());
+  };
+
+  // kid mode: self-reported behaviors wait in `requests` for a parent
+  const [kidChildId, setKidChildId] = useState(() =>
+    localStorage.getItem(kidModeKey(fid))
+  );
+  const [requests, setRequests] = useState([]);
+  useEffect(
+    () =>
+      store.watchList(`users/${fid}/requests`, [["status", "==", "pending"]], (docs) => {
+        const rows = docs.map((d) => ({ id: d.id, ...d.data }));
+        rows.sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+        setRequests(rows);
+      }),
+    [fid]
+  );
+
+  const enterKidMode = async () => {
+    if (!profile.parentPinHash) {
+      const pin = prompt("Choose a parent PIN to exit kid mode (4+ digits)");
+      if (!pin || pin.length < 4) return;
+      if (prompt("Repeat the PIN") !== pin) return alert("PINs didn't match.");
+      const parentPinHash = await hashPin(fid, pin);
+      // without a saved PIN there would be no way back out of kid mode
+      try {
+        await updateProfile((p) => {
+          p.parentPinHash = parentPinHash;
+        });
+      } catch (e) {
+        return alert(`Couldn't save the PIN: ${e.message}`);
+      }
+    }
+    localStorage.setItem(kidModeKey(fid), childId);
+    setKidChildId(childId);
+  };
+  const exitKidMode = () => {
+    localStorage.removeItem(kidModeKey(fid));
+    setKidChildId(null);
+  };
+
+  const requestBehavior = (kidId, day, behaviorId, part) =>
+    trackWrite(
+      store.add(`users/${fid}/requests`, {
+        childId: kidId,
+        date: day,
+        behaviorId,
+        ...(part && { part }),
+        delta: 1,
+        status: "pending",
+        createdAt: new Date().toISOString(),
+        by: user.uid,
+      })
+    );
+
+  const resolveRequest = async (req, approve) => {
+    const reqRef = `users/${fid}/requests/${req.id}`;
+    const resolved = { status: approve ? "approved" : "declined", resolvedBy: user.uid };
+    if (!approve) return trackWrite(store.update(reqRef, resolved));
+    const { items = {}, na, parts } =
+      (await store.get(`users/${fid}/entries/${req.childId}_${req.date}`)) || {};
+    const part = byId[req.behaviorId]?.byPart ? req.part : null;
+    const cur = (part ? parts?.[part]?.[req.behaviorId] : items[req.behaviorId]) || 0;
+    const { min, max } = behaviorRange(byId[req.behaviorId]);
+    writeItemValue(
+      { childId: req.childId, date: req.date, items, na, parts, part },
+      req.behaviorId,
+      clamp(cur + req.delta, min, max),
+      { note: "Self-reported in kid mode", request: req.id },
+      (batch) => batch.update(reqRef, resolved)
+    );
+  };
+
+  const entryRef = () => `users/${fid}/entries/${childId}_${date}`;
+
+  // notes: entry.notes[behaviorId] per behavior, entry.dayNote for the day
+  const saveNote = (behaviorId, text) => {
+    const note = text.trim();
+    const patch = behaviorId
+      ? { notes: { [behaviorId]: note || deleteField() } }
+      : { dayNote: note || deleteField() };
+    trackWrite(store.set(entryRef(), { childId, date, ...patch }, { merge: true }));
+  };
+
+  const [uploading, setUploading] = useState(false);
+  const [photoError, setPhotoError] = useState("");
+  const uploadPhoto = async (file) => {
+    setPhotoError("");
+    if (!file) return;
+    if (file.size > 10 * 1024 * 1024) return setPhotoError("Photos must be under 10 MB.");
+    const id = uidLocal();
+    const path = `users/${fid}/photos/${childId}/${date}/${id}-${file.name.replace(
+      /[^\w.-]+/g,
+      "_"
+    )}`;
+    setUploading(true);
+    try {
+      const url = await trackWrite(store.upload(path, file));
+      const photo = {
+        id,
+        path,
+        url,
+        name: file.name,
+        at: new Date().toISOString(),
+        by: user.uid,
+      };
+      trackWrite(
+        store.set(entryRef(), { childId, date, photos: arrayUnion(photo) }, { merge: true })
+      );
+    } catch (e) {
+      setPhotoError(`Couldn't upload ${file.name}: ${e.message}`);
+    } finally {
+      setUploading(false);
+    }
+  };
+  const removePhoto = (photo) => {
+    if (!confirm(`Delete photo "${photo.name}"?`)) return;
+    trackWrite(store.update(entryRef(), { photos: arrayRemove(photo) }));
+    trackWrite(store.removeFile(photo.path)).catch(() => {});
+  };
+
+  const saveItem = (behaviorId, delta) => {
+    const cur = valueOf(behaviorId);
+    const { min, max } = behaviorRange(byId[behaviorId]);
+    setItemValue(behaviorId, clamp(cur + delta, min, max));
+  };
+
+  // Reverses an event's delta against the current value (later taps survive).
+  const undoEvent = (ev) => {
+    const part = byId[ev.behaviorId]?.byPart ? ev.part || null : null;
+    const cur = valueOf(ev.behaviorId, part);
+    const { min, max } = behaviorRange(byId[ev.behaviorId]);
+    setItemValue(
+      ev.behaviorId,
+      clamp(cur - (ev.delta || 0), min, max),
+      { kind: "undo", undoes: ev.id },
+      (batch) => batch.update(`users/${fid}/events/${ev.id}`, { undone: true }),
+      part
+    );
+  };
+
+  const noteEvent = (ev) => {
+    const note = prompt("Note for this change", ev.note || "");
+    if (note === null) return;
+    trackWrite(store.update(`users/${fid}/events/${ev.id}`, { note }));
   };
 
   const dayTotal = useMemo(() => {
     if (!entry) return 0;
-    return Object.values(entry.items || {}).reduce((a, b) => a + (b || 0), 0);
-  }, [entry]);
-
-  // period stats + daily series
-  const [periodStats, setPeriodStats] = useState({
-    total: 0,
-    byBehavior: {},
-    label: "",
-  });
-  const [dailySeries, setDailySeries] = useState([]);
+    return dayPoints(entry, date, byId);
+  }, [entry, date, byId]);
+
+  // period stats + daily series (from monthly rollups)
+  const range = useMemo(
+    () => getRange(reportMode, reportDate),
+    [reportMode, reportDate]
+  );
+  const rollupsReady = !!profile.rollupVersion;
+  const canMigrate = can(role, "settings");
+  useEffect(() => {
+    if (!rollupsReady && canMigrate) trackWrite(backfillRollups(fid));
+  }, [fid, rollupsReady, canMigrate]);
+
+  const periodDays = usePeriodDays(
+    fid,
+    childId,
+    range.start,
+    range.end,
+    rollupsReady
+  );
+  const { stat: periodStats, series: dailySeries } = useMemo(
+    () => periodStatsFrom(periodDays, byId, range),
+    [periodDays, byId, range]
+  );
+  const shownBehaviors = useMemo(
+    () => reportBehaviors(profile, behaviors, periodStats.byBehavior),
+    [profile, behaviors, periodStats]
+  );
+  const partStats = useMemo(
+    () => dayPartBreakdown(periodDays, byId, dayParts, range),
+    [periodDays, byId, dayParts, range]
+  );
+  // only watched while the report is open
+  const periodIncidents = useIncidents(
+    fid,
+    activeTab === "report" ? childId : null,
+    range.start,
+    range.end
+  );
+
+  // previous period / same period last year, moving average and weekday heatmap
+  const compare = useMemo(() => comparisonRanges(reportMode, range), [reportMode, range]);
+  const prevDays = usePeriodDays(
+    fid,
+    childId,
+    compare.previous.start,
+    compare.previous.end,
+    rollupsReady
+  );
+  const lastYearDays = usePeriodDays(
+    fid,
+    childId,
+    compare.lastYear.start,
+    compare.lastYear.end,
+    rollupsReady
+  );
+  const prevStats = useMemo(
+    () => periodStatsFrom(prevDays, byId, compare.previous).stat,
+    [prevDays, byId, compare]
+  );
+  const lastYearStats = useMemo(
+    () => periodStatsFrom(lastYearDays, byId, compare.lastYear).stat,
+    [lastYearDays, byId, compare]
+  );
+  const trendWindow = trendWindows[reportMode];
+  const trendSeries = useMemo(
+    () => (trendWindow ? withMovingAverage(dailySeries, trendWindow) : dailySeries),
+    [dailySeries, trendWindow]
+  );
+  const heatmap = useMemo(
+    () => weekdayHeatmap(periodDays, behaviors, byId),
+    [periodDays, behaviors, byId]
+  );
+
+  // achievements look back over the last two years of history
+  const today = todayStr();
+  const historyStart = useMemo(() => addDaysISO(today, -730), [today]);
+  const historyDays = usePeriodDays(fid, childId, historyStart, today, rollupsReady);
+  const badges = useMemo(
+    () => computeAchievements(historyDays, behaviors, byId, profile.achievementRules, today),
+    [historyDays, behaviors, byId, profile.achievementRules, today]
+  );
+  const [showAllBadges, setShowAllBadges] = useState(false);
+
+  const tiers = getTiers(profile);
+  const rewards = getRewards(profile);
+  const periodPossible = useMemo(
+    () => possiblePoints(behaviors, byId, periodDays, range.start, range.end),
+    [behaviors, byId, periodDays, range]
+  );
+  const periodProgress = tierProgress(tiers, reportMode, periodStats.total, periodPossible);
+  const currentTier = periodProgress.reached;
+  const dayPossible = possiblePoints(behaviors, byId, { [date]: entry }, date, date);
+  const dayProgress = tierProgress(tiers, "day", dayTotal, dayPossible);
+
+  // points ledger for the child (earned, redeemed, adjusted)
+  const [ledger, setLedger] = useState([]);
 
+  // runs once per missing ledgerVersion; later profile snapshots (e.g. the
+  // rollup backfill finishing) must not start another pass
+  const needsBackfill = !profile.ledgerVersion && canMigrate;
+  const backfillProfile = useRef(profile);
+  backfillProfile.current = profile;
   useEffect(() => {
-    const { start, end, label } = getRange(reportMode, reportDate);
-    const col = collection(db, "users", user.uid, "entries");
+    if (!needsBackfill) return;
+    const { behaviors, schoolTerms } = backfillProfile.current;
+    trackWrite(backfillLedger(fid, behaviors, schoolTerms));
+  }, [fid, needsBackfill]);
+
+  useEffect(
+    () =>
+      store.watchList(`users/${fid}/ledger`, [["childId", "==", childId]], (docs) =>
+        setLedger(sortLedger(docs.map((d) => ({ id: d.id, ...d.data }))))
+      ),
+    [fid, childId]
+  );
 
-    const unsub = onSnapshot(col, (snap) => {
-      const stat = { total: 0, byBehavior: {}, label };
-      const perDay = {}; // dateISO -> total
+  const balance = ledger.reduce((a, r) => a + (r.points || 0), 0);
+  // days that netted to zero keep their earn row but aren't worth listing
+  const ledgerRows = ledger.filter((r) => r.type !== "earn" || r.points);
+  const earnedAll = ledger
+    .filter((r) => r.type === "earn")
+    .reduce((a, r) => a + (r.points || 0), 0);
 
-      snap.forEach((d) => {
-        const en = d.data();
-        if (en.childId === childId && en.date && en.date >= start && en.date <= end) {
-          const daySum = Object.values(en.items || {}).reduce((a, b) => a + (b || 0), 0);
-          stat.total += daySum;
+  const adjustBalance = () => {
+    const raw = prompt("Adjust points (e.g. 5 or -3)");
+    const points = Math.trunc(Number(raw));
+    if (!points) return;
+    const reason = prompt("Reason for adjustment");
+    if (!reason) return;
+    trackWrite(
+      store.add(`users/${fid}/ledger`, {
+        childId,
+        type: "adjust",
+        points,
+        reason,
+        date: todayStr(),
+        createdAt: new Date().toISOString(),
+        createdBy: user.uid,
+      })
+    );
+  };
 
-          Object.entries(en.items || {}).forEach(([bid, val]) => {
-            stat.byBehavior[bid] = (stat.byBehavior[bid] || 0) + (val || 0);
-          });
+  const child = profile.children.find((c) => c.id === childId);
+  const childName = child?.name || "Child";
 
-          perDay[en.date] = (perDay[en.date] || 0) + daySum;
-        }
-      });
+  const redeemReward = (r) => {
+    if (balance < r.cost) return;
+    if (!confirm(`Redeem "${r.label}" for ${r.cost} pts?`)) return;
+    trackWrite(
+      store.add(`users/${fid}/ledger`, {
+        childId,
+        type: "redeem",
+        points: -r.cost,
+        rewardId: r.id,
+        label: r.label,
+        emoji: r.emoji || "",
+        date: todayStr(),
+        createdAt: new Date().toISOString(),
+        createdBy: user.uid,
+      })
+    );
+  };
+
+  // archived children stay viewable, but their days are closed
+  const canLog = can(role, "log") && !isArchived(child);
+
+  // --- archive, restore, delete forever ---
+  const firstActiveId = (exceptId) =>
+    activeChildren(profile).find((c) => c.id !== exceptId)?.id;
 
-      const days = eachDayISO(start, end);
-      const series = days.map((iso) => ({
-        date: iso.slice(5),     // MM-DD for chart axis
-        dateFull: iso,          // full ISO for CSV
-        total: perDay[iso] || 0,
-      }));
+  const archiveChild = (c) => {
+    if (!confirm(`Archive ${c.name}? Their history stays in reports and they can be restored.`))
+      return;
+    updateProfile((p) => {
+      p.children.find((x) => x.id === c.id).archivedAt = todayStr();
+    });
+    if (c.id === childId) setChildId(firstActiveId(c.id));
+  };
+
+  const archiveBehavior = (b) =>
+    updateProfile((p) => {
+      p.behaviors.find((x) => x.id === b.id).archivedAt = todayStr();
+    });
 
-      setPeriodStats(stat);
-      setDailySeries(series);
+  const restoreArchived = (key, id) =>
+    updateProfile((p) => {
+      delete p[key].find((x) => x.id === id).archivedAt;
     });
-    return () => unsub();
-  }, [user.uid, childId, reportMode, reportDate]);
 
-  const currentTier =
-    rewardTiers.slice().reverse().find((t) => periodStats.total >= t.min) ||
-    null;
+  const [deleting, setDeleting] = useState(null); // id being counted/deleted
+
+  const deleteChild = async (c) => {
+    setDeleting(c.id);
+    try {
+      const records = await childRecords(fid, c.id);
+      if (
+        !confirm(
+          `Permanently delete ${c.name} and ${countRecords(records)} records ` +
+            `(${describeRecords(records)})? This can't be undone.`
+        )
+      )
+        return;
+      await trackWrite(deleteChildForever(fid, records));
+      updateProfile((p) => {
+        p.children = p.children.filter((x) => x.id !== c.id);
+      });
+      if (c.id === childId) setChildId(firstActiveId(c.id));
+    } catch (e) {
+      alert(`Couldn't delete ${c.name}: ${e.message}`);
+    } finally {
+      setDeleting(null);
+    }
+  };
+
+  // Totals, rollups and earn rows are rebuilt from the cleaned entries.
+  const deleteBehavior = async (b) => {
+    setDeleting(b.id);
+    try {
+      const { records, partIds } = await behaviorRecords(fid, b.id);
+      if (
+        !confirm(
+          `Permanently delete "${b.label}" and its scores in ${countRecords(records)} records ` +
+            `(${describeRecords(records)})? This can't be undone.`
+        )
+      )
+        return;
+      await trackWrite(deleteBehaviorForever(fid, b.id, records, partIds));
+      updateProfile((p) => {
+        p.behaviors = p.behaviors.filter((x) => x.id !== b.id);
+        p.children.forEach((c) => {
+          if (c.behaviorIds) c.behaviorIds = c.behaviorIds.filter((id) => id !== b.id);
+        });
+        if (p.achievementRules)
+          p.achievementRules = p.achievementRules.filter((x) => x.behaviorId !== b.id);
+        p.ledgerVersion = deleteField();
+        p.rollupVersion = deleteField();
+      });
+    } catch (e) {
+      alert(`Couldn't delete "${b.label}": ${e.message}`);
+    } finally {
+      setDeleting(null);
+    }
+  };
+
+  const generatePDF = async () => {
+    setPdfBusy(true);
+    try {
+      const days = await fetchEntries(fid, [childId], range.start, range.end);
+      const notes = days.flatMap((d) => [
+        ...(d.dayNote ? [{ date: d.date, text: d.dayNote }] : []),
+        ...Object.entries(d.notes || {}).map(([bid, text]) => ({
+          date: d.date,
+          behavior: behaviorLabel(byId, bid),
+          text,
+        })),
+      ]);
+      const svgOf = (ref) => ref.current?.querySelector("svg.recharts-surface");
+      const { pdf, dropped } = await buildReportPDF({
+        childName,
+        label: range.label,
+        total: periodStats.total,
+        tier: currentTier,
+        barPng: await svgToPng(svgOf(barRef)),
+        piePng: await svgToPng(svgOf(pieRef)),
+        pieData: pieSlices(shownBehaviors, periodStats.byBehavior, pieGroupBy),
+        behaviors: shownBehaviors,
+        byBehavior: periodStats.byBehavior,
+        raw: periodStats.raw,
+        notes,
+      });
+      pdf.save(`kids_report_${`${childName}_${range.label}`.replace(/[^\w-]+/g, "_")}.pdf`);
+      if (dropped.length)
+        alert(`The PDF font has no characters for "${dropped.join("")}", so they were left out.`);
+    } catch (e) {
+      alert(`Couldn't generate the PDF: ${e.message}`);
+    } finally {
+      setPdfBusy(false);
+    }
+  };
 
   const BehaviorRow = ({ b }) => {
-    const val = entry?.items?.[b.id] || 0;
+    const val = valueOf(b.id);
+    const { min, max } = behaviorRange(b);
+    const span = Math.max(Math.abs(min), Math.abs(max)) || 1;
+    const weight = behaviorWeight(b);
+    const type = behaviorType(b);
+    const pts = itemPoints(b, val);
+    const note = entry?.notes?.[b.id];
+    const na = !!entry?.na?.[b.id];
     return (
-      <div className="grid grid-cols-[auto_1fr_auto] items-center gap-3 py-2 border-b">
+      <div
+        className={`grid grid-cols-[auto_1fr_auto] items-center gap-3 py-2 border-b ${
+          na ? "opacity-50" : ""
+        }`}
+      >
         <div className="text-slate-700 text-sm flex items-center gap-2">
-          <span className="inline-flex size-7 items-center justify-center rounded-full bg-slate-100 border">
-            ⭐
+          <span
+            className="inline-flex size-7 items-center justify-center rounded-full border"
+            style={{
+              backgroundColor: `${behaviorColor(b)}1a`,
+              borderColor: behaviorColor(b),
+            }}
+          >
+            {behaviorIcon(b)}
           </span>
-          {b.label}
+          <div className="min-w-0">
+            <div>{b.label}</div>
+            {note && <div className="text-xs italic text-slate-500">{note}</div>}
+          </div>
+          {canLog && (
+            <button
+              title={note ? "Edit note" : "Add note"}
+              className={`text-xs ${note ? "" : "opacity-30 hover:opacity-70"}`}
+              onClick={() => {
+                const n = prompt(`Note for "${b.label}"`, note || "");
+                if (n !== null) saveNote(b.id, n);
+              }}
+            >
+              📝
+            </button>
+          )}
+          {canLog && (
+            <button
+              title={na ? "Count this behavior today" : "Not applicable today"}
+              className={`text-[10px] font-semibold rounded border px-1 ${
+                na ? "bg-slate-700 text-white" : "opacity-40 hover:opacity-80"
+              }`}
+              onClick={() => setNotApplicable(b.id, !na)}
+            >
+              N/A
+            </button>
+          )}
         </div>
         <div className="h-3 rounded-full bg-slate-100 overflow-hidden">
           <div
             className={`h-full transition-all ${
-              val > 0 ? "bg-emerald-400" : ""
-            } ${val < 0 ? "bg-rose-400" : ""}`}
-            style={{ width: `${Math.abs(val) * 100}%` }}
+              pts > 0 ? "bg-emerald-400" : ""
+            } ${pts < 0 ? "bg-rose-400" : ""}`}
+            style={{ width: `${(Math.abs(val) / span) * 100}%` }}
           />
         </div>
-        <div className="flex items-center gap-2">
-          <Btn
-            className="border-rose-300 text-rose-600"
-            onClick={() => saveItem(b.id, -1)}
-          >
-            −
-          </Btn>
-          <div
-            className={`w-10 text-center text-sm font-semibold ${
-              val > 0 ? "text-emerald-600" : val < 0 ? "text-rose-600" : "text-slate-500"
-            }`}
-          >
-            {val}
+        {type !== "tally" && type !== "counter" ? (
+          <div className="flex items-center gap-2">
+            <MeasureInput
+              b={b}
+              val={val}
+              disabled={!canLog || na}
+              onSet={(next) => setItemValue(b.id, next)}
+            />
+            <div
+              className={`w-10 text-center text-xs font-semibold ${
+                pts > 0 ? "text-emerald-600" : pts < 0 ? "text-rose-600" : "text-slate-400"
+              }`}
+            >
+              {pts > 0 ? `+${pts}` : pts}
+            </div>
           </div>
-          <Btn
-            className="border-emerald-300 text-emerald-600"
-            onClick={() => saveItem(b.id, 1)}
-          >
-            +
-          </Btn>
-        </div>
+        ) : (
+          <div className="flex items-center gap-2">
+            <Btn
+              className="border-rose-300 text-rose-600 disabled:opacity-40"
+              disabled={!canLog || na || val <= min}
+              onClick={() => saveItem(b.id, -1)}
+            >
+              −
+            </Btn>
+            <div
+              className={`w-10 text-center text-sm font-semibold ${
+                pts > 0 ? "text-emerald-600" : pts < 0 ? "text-rose-600" : "text-slate-500"
+              }`}
+            >
+              {val}
+              {weight !== 1 && (
+                <div className="text-[10px] font-normal text-slate-400">
+                  ×{weight}
+                </div>
+              )}
+            </div>
+            <Btn
+              className="border-emerald-300 text-emerald-600 disabled:opacity-40"
+              disabled={!canLog || na || val >= max}
+              onClick={() => saveItem(b.id, 1)}
+            >
+              +
+            </Btn>
+          </div>
+        )}
       </div>
     );
   };
 
   // Update profile in Firestore (children / behaviors)
-  const updateProfile = async (mutator) => {
+  const updateProfile = (mutator) => {
     const newProfile = JSON.parse(JSON.stringify(profile));
     mutator(newProfile);
-    await setDoc(doc(db, "users", user.uid), newProfile, { merge: true });
+    return trackWrite(store.set(`users/${fid}`, newProfile, { merge: true }));
   };
 
+  const kidChild = kidChildId === childId && profile.children.find((c) => c.id === kidChildId);
+  if (kidChild)
+    return (
+      <KidView
+        fid={fid}
+        profile={profile}
+        child={kidChild}
+        balance={balance}
+        tiers={tiers}
+        rollupsReady={rollupsReady}
+        onRequest={requestBehavior}
+        onExit={exitKidMode}
+      />
+    );
+
   return (
     <div className="min-h-screen bg-[radial-gradient(ellipse_at_top,_var(--tw-gradient-stops))] from-white via-sky-50 to-indigo-50">
       {/* Topbar */}
@@ -500,11 +5422,20 @@ function TrackerApp({ user, profile }) {
             value={childId}
             onChange={(e) => setChildId(e.target.value)}
           >
-            {profile.children.map((c) => (
+            {activeChildren(profile).map((c) => (
               <option key={c.id} value={c.id}>
                 {c.name}
               </option>
             ))}
+            {profile.children.some(isArchived) && (
+              <optgroup label="Archived">
+                {profile.children.filter(isArchived).map((c) => (
+                  <option key={c.id} value={c.id}>
+                    {c.name}
+                  </option>
+                ))}
+              </optgroup>
+            )}
           </select>
           <input
             type="date"
@@ -516,36 +5447,331 @@ function TrackerApp({ user, profile }) {
             text={`${weekday(date)}, ${date}`}
             color="border-slate-200 text-slate-600"
           />
+          <SyncIndicator />
         </div>
         <div className="flex items-center gap-2">
           <Btn onClick={() => setActiveTab("daily")}>Daily</Btn>
+          <Btn onClick={() => setActiveTab("incidents")}>Incidents</Btn>
           <Btn onClick={() => setActiveTab("report")}>Report</Btn>
+          {activeChildren(profile).length > 1 && (
+            <Btn onClick={() => setActiveTab("family")}>Family</Btn>
+          )}
+          <Btn onClick={() => setActiveTab("rewards")}>Rewards</Btn>
           <Btn onClick={() => setActiveTab("settings")}>Settings</Btn>
-          <Btn
-            className="bg-slate-800 text-white border-slate-800"
-            onClick={() => signOut(auth)}
-          >
-            Logout
-          </Btn>
+          {canLog && (profile.parentPinHash || can(role, "settings")) && (
+            <Btn className="border-amber-300 text-amber-700" onClick={enterKidMode}>
+              🧸 Kid mode
+            </Btn>
+          )}
+          {store.mode === "cloud" ? (
+            <Btn
+              className="bg-slate-800 text-white border-slate-800"
+              onClick={signOutAndStopReminders}
+            >
+              Logout
+            </Btn>
+          ) : (
+            hasCloudConfig && (
+              <Btn
+                className="bg-slate-800 text-white border-slate-800"
+                onClick={() => switchStorageMode("cloud")}
+              >
+                ☁️ Use a cloud account
+              </Btn>
+            )
+          )}
         </div>
       </div>
 
-      <div className="max-w-4xl mx-auto px-4 pb-16 space-y-6">
-        {activeTab === "daily" && (
+      <div className="max-w-4xl mx-auto px-4 pb-16 space-y-6">
+        {can(role, "settings") && <LocalDataImport fid={fid} user={user} profile={profile} />}
+
+        {activeTab === "daily" && isArchived(child) && (
+          <Card title={`${childName} is archived`}>
+            <div className="text-sm text-slate-600">
+              Archived on {child.archivedAt}. Their history and reports are kept
+              read-only; restore them in Settings to log again.
+            </div>
+          </Card>
+        )}
+
+        {activeTab === "daily" && (
+          <Card
+            title="Behavior Tracker"
+            right={
+              <div className="flex items-center gap-2">
+                <Ribbon
+                  text={`Day Total: ${dayTotal}`}
+                  color="border-emerald-200 text-emerald-700"
+                />
+                <Ribbon
+                  text={`Balance: ${balance}`}
+                  color="border-amber-200 text-amber-700"
+                />
+                {canLog && undoable.length > 0 && (
+                  <Btn
+                    title="Undo last change"
+                    onClick={() => undoEvent(undoable[0])}
+                  >
+                    ↶ Undo
+                  </Btn>
+                )}
+              </div>
+            }
+          >
+            <div className="mb-3">
+              <GoalProgress progress={dayProgress} total={dayTotal} possible={dayPossible} />
+            </div>
+            {dayParts.length > 0 && (
+              <div className="mb-3 flex flex-wrap items-center gap-2">
+                {dayParts.map((p) => (
+                  <Btn
+                    key={p.id}
+                    className={
+                      p.id === activePart ? "bg-indigo-600 text-white border-indigo-600" : ""
+                    }
+                    onClick={() => setPartId(p.id)}
+                  >
+                    {p.label}
+                  </Btn>
+                ))}
+                <span className="text-xs text-slate-500">
+                  Behaviors marked “per day part” are scored separately in each.
+                </span>
+              </div>
+            )}
+            <div className="space-y-3">
+              {groups.map((g) => {
+                const subtotal = dayPoints(
+                  {
+                    items: Object.fromEntries(
+                      g.behaviors.map((b) => [b.id, entry?.items?.[b.id] || 0])
+                    ),
+                    na: entry?.na,
+                  },
+                  date,
+                  byId
+                );
+                return (
+                  <div key={g.category}>
+                    <button
+                      className="w-full flex items-center justify-between py-1 text-left"
+                      onClick={() =>
+                        setCollapsed((c) => ({ ...c, [g.category]: !c[g.category] }))
+                      }
+                    >
+                      <span className="flex items-center gap-2 font-semibold text-slate-700">
+                        <span className="text-slate-400 text-xs">
+                          {collapsed[g.category] ? "▸" : "▾"}
+                        </span>
+                        <span
+                          className="size-2.5 rounded-full"
+                          style={{ backgroundColor: categoryColor(g.category) }}
+                        />
+                        {g.category}
+                        <span className="text-xs font-normal text-slate-400">
+                          ({g.behaviors.length})
+                        </span>
+                      </span>
+                      <span
+                        className={`text-sm font-semibold ${
+                          subtotal > 0
+                            ? "text-emerald-600"
+                            : subtotal < 0
+                            ? "text-rose-600"
+                            : "text-slate-500"
+                        }`}
+                      >
+                        {subtotal}
+                      </span>
+                    </button>
+                    {!collapsed[g.category] && (
+                      <div className="divide-y">
+                        {g.behaviors.map((b) => (
+                          <BehaviorRow key={b.id} b={b} />
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            {behaviors.length > dueBehaviors.length && (
+              <div className="mt-3 text-xs text-slate-400">
+                Not scheduled on {weekday(date)}:{" "}
+                {behaviors
+                  .filter((b) => !dueBehaviors.includes(b))
+                  .map((b) => b.label)
+                  .join(", ")}
+              </div>
+            )}
+            {entry?.updatedBy && (
+              <div className="mt-3 text-xs text-slate-400">
+                Last change by {memberName(profile, fid, entry.updatedBy)}
+                {entry.updatedAt &&
+                  ` · ${new Date(entry.updatedAt).toLocaleTimeString([], {
+                    hour: "2-digit",
+                    minute: "2-digit",
+                  })}`}
+              </div>
+            )}
+          </Card>
+        )}
+
+        {activeTab === "daily" && requests.length > 0 && (
           <Card
-            title="Behavior Tracker"
+            title="Waiting for approval"
             right={
               <Ribbon
-                text={`Day Total: ${dayTotal}`}
-                color="border-emerald-200 text-emerald-700"
+                text={`${requests.length} pending`}
+                color="border-amber-200 text-amber-700"
               />
             }
           >
-            <div className="divide-y">
-              {behaviors.map((b) => (
-                <BehaviorRow key={b.id} b={b} />
+            <ul className="divide-y">
+              {requests.map((r) => (
+                <li key={r.id} className="flex items-center justify-between py-2 text-sm">
+                  <span className="text-slate-700">
+                    <b>{profile.children.find((c) => c.id === r.childId)?.name || "Child"}</b>{" "}
+                    says: {behaviorIcon(byId[r.behaviorId])}{" "}
+                    {behaviorLabel(byId, r.behaviorId)}
+                    <span className="text-slate-400">
+                      {" "}
+                      · {r.date}
+                      {r.part && ` · ${dayParts.find((p) => p.id === r.part)?.label || r.part}`}
+                    </span>
+                  </span>
+                  {canLog && (
+                    <div className="flex gap-2">
+                      <Btn
+                        className="border-emerald-300 text-emerald-700"
+                        onClick={() => resolveRequest(r, true)}
+                      >
+                        Approve
+                      </Btn>
+                      <Btn className="text-rose-700" onClick={() => resolveRequest(r, false)}>
+                        Decline
+                      </Btn>
+                    </div>
+                  )}
+                </li>
               ))}
-            </div>
+            </ul>
+          </Card>
+        )}
+
+        {activeTab === "daily" && (
+          <Card title="Notes & Photos">
+            <textarea
+              key={`${childId}_${date}_${entry?.dayNote || ""}`}
+              className="w-full border rounded-xl px-3 py-2 text-sm"
+              rows={3}
+              placeholder="How did the day go? Anything that explains the scores…"
+              defaultValue={entry?.dayNote || ""}
+              disabled={!canLog}
+              onBlur={(e) => {
+                if (e.target.value.trim() !== (entry?.dayNote || "")) saveNote(null, e.target.value);
+              }}
+            />
+            <PhotoGrid photos={entry?.photos} onRemove={canLog ? removePhoto : null} />
+            {canLog && (
+              <label className="mt-2 inline-flex items-center gap-2 text-sm text-indigo-700 cursor-pointer">
+                <input
+                  type="file"
+                  accept="image/*"
+                  className="hidden"
+                  disabled={uploading}
+                  onChange={(e) => {
+                    uploadPhoto(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
+                />
+                {uploading ? "Uploading…" : "📷 Add photo"}
+              </label>
+            )}
+            {photoError && <div className="mt-1 text-sm text-red-600">{photoError}</div>}
+          </Card>
+        )}
+
+        {activeTab === "daily" && (
+          <Card
+            title="Achievements"
+            right={
+              badges.length > 6 && (
+                <Btn onClick={() => setShowAllBadges((v) => !v)}>
+                  {showAllBadges ? "Show recent" : `Show all ${badges.length}`}
+                </Btn>
+              )
+            }
+          >
+            <BadgeList
+              badges={showAllBadges ? badges : badges.slice(0, 6)}
+              empty="No badges yet — streaks, perfect days and milestones will show up here."
+            />
+          </Card>
+        )}
+
+        {activeTab === "daily" && (
+          <Card title="Activity" right={<span className="text-xs text-slate-500">{date}</span>}>
+            <ul className="divide-y max-h-72 overflow-auto pr-1">
+              {events.map((ev) => {
+                const b = byId[ev.behaviorId];
+                return (
+                  <li
+                    key={ev.id}
+                    className={`flex items-center justify-between gap-3 py-2 text-sm ${
+                      ev.undone ? "opacity-50" : ""
+                    }`}
+                  >
+                    <div className="min-w-0">
+                      <div className="text-slate-700 truncate">
+                        <span className="text-slate-400 mr-2">
+                          {new Date(ev.at).toLocaleTimeString([], {
+                            hour: "2-digit",
+                            minute: "2-digit",
+                          })}
+                        </span>
+                        {ev.kind === "undo" && "↶ "}
+                        {behaviorIcon(b)} {b?.label || "Deleted behavior"}{" "}
+                        <span
+                          className={`font-semibold ${
+                            ev.delta > 0 ? "text-emerald-600" : "text-rose-600"
+                          }`}
+                        >
+                          {ev.delta > 0 ? `+${ev.delta}` : ev.delta}
+                        </span>
+                        <span className="text-slate-400">
+                          {" "}
+                          ({ev.from} → {ev.to})
+                          {ev.part &&
+                            ` · ${dayParts.find((p) => p.id === ev.part)?.label || ev.part}`}
+                        </span>
+                      </div>
+                      <div className="text-xs text-slate-400">
+                        {memberName(profile, fid, ev.by)}
+                        {ev.undone && " · undone"}
+                        {ev.note && <span className="text-slate-600"> · {ev.note}</span>}
+                      </div>
+                    </div>
+                    {canLog && (
+                      <div className="flex gap-2 shrink-0">
+                        <Btn className="px-2 py-1" title="Add note" onClick={() => noteEvent(ev)}>
+                          📝
+                        </Btn>
+                        {undoable.includes(ev) && (
+                          <Btn className="px-2 py-1" onClick={() => undoEvent(ev)}>
+                            Undo
+                          </Btn>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+            {events.length === 0 && (
+              <div className="text-sm text-slate-500">No changes logged for this day.</div>
+            )}
           </Card>
         )}
 
@@ -586,86 +5812,187 @@ function TrackerApp({ user, profile }) {
               />
             </div>
 
-            {/* Download CSV */}
+            {/* Export */}
             <div className="flex gap-2 mb-2">
               <Btn
                 className="border-indigo-300 text-indigo-700"
-                onClick={() => {
-                  const childName =
-                    profile.children.find((c) => c.id === childId)?.name ||
-                    "Child";
-                  const csv = buildCSV({
-                    label: periodStats.label || "",
-                    childName,
-                    behaviors,
-                    byBehavior: periodStats.byBehavior,
-                    dailySeries,
-                  });
-                  const safeLabel = (periodStats.label || reportMode).replace(
-                    /[^\w\-]+/g,
-                    "_"
-                  );
-                  downloadTextFile(`kids_report_${safeLabel}.csv`, csv);
-                }}
+                onClick={() => setShowExport((v) => !v)}
+              >
+                ⬇️ Export…
+              </Btn>
+              <Btn
+                className="border-indigo-300 text-indigo-700"
+                disabled={pdfBusy}
+                onClick={generatePDF}
               >
-                ⬇️ Download CSV
+                {pdfBusy ? "Generating…" : "📄 Generate PDF"}
               </Btn>
             </div>
+            {showExport && (
+              <ExportPanel
+                fid={fid}
+                profile={profile}
+                childId={childId}
+                range={range}
+                byId={byId}
+                onClose={() => setShowExport(false)}
+              />
+            )}
+
+            <div className="grid sm:grid-cols-2 gap-2 mb-4">
+              <CompareTile
+                title="Previous period"
+                stat={prevStats}
+                total={periodStats.total}
+              />
+              <CompareTile
+                title="Same period last year"
+                stat={lastYearStats}
+                total={periodStats.total}
+              />
+            </div>
 
             <div className="grid md:grid-cols-3 gap-6">
               <div className="md:col-span-2">
+                <h4 className="font-semibold text-slate-700 mb-2">By Category</h4>
+                <ul className="grid sm:grid-cols-2 gap-2 mb-4">
+                  {Object.entries(categoryTotals(shownBehaviors, periodStats.byBehavior)).map(
+                    ([cat, total]) => (
+                      <li
+                        key={cat}
+                        className="flex items-center justify-between border rounded-xl p-2"
+                        style={{ borderLeft: `4px solid ${categoryColor(cat)}` }}
+                      >
+                        <span className="text-sm text-slate-700">{cat}</span>
+                        <span
+                          className={`text-sm font-semibold ${
+                            total >= 0 ? "text-emerald-700" : "text-rose-700"
+                          }`}
+                        >
+                          {total}
+                        </span>
+                      </li>
+                    )
+                  )}
+                </ul>
+
+                <h4 className="font-semibold text-slate-700 mb-2">By Behavior</h4>
                 <ul className="space-y-2">
-                  {behaviors.map((b) => (
+                  {shownBehaviors.map((b) => (
                     <li
                       key={b.id}
                       className="flex items-center justify-between border rounded-xl p-2"
                     >
-                      <span className="text-sm text-slate-700">{b.label}</span>
-                      <span
-                        className={`text-sm font-semibold ${
-                          (periodStats.byBehavior[b.id] || 0) >= 0
-                            ? "text-emerald-700"
-                            : "text-rose-700"
-                        }`}
-                      >
-                        {periodStats.byBehavior[b.id] || 0}
+                      <span className="text-sm text-slate-700">
+                        {behaviorIcon(b)} {b.label}
+                        {fmtRawTotal(b, periodStats.raw[b.id]) && (
+                          <span className="ml-2 text-xs text-slate-500">
+                            {fmtRawTotal(b, periodStats.raw[b.id])}
+                          </span>
+                        )}
+                      </span>
+                      <span className="flex items-center gap-2">
+                        <Delta
+                          cur={periodStats.byBehavior[b.id] || 0}
+                          prev={prevStats.byBehavior[b.id] || 0}
+                          title={`Compared to ${prevStats.label}`}
+                        />
+                        <span
+                          className={`text-sm font-semibold ${
+                            (periodStats.byBehavior[b.id] || 0) >= 0
+                              ? "text-emerald-700"
+                              : "text-rose-700"
+                          }`}
+                        >
+                          {periodStats.byBehavior[b.id] || 0}
+                        </span>
                       </span>
                     </li>
                   ))}
                 </ul>
+
+                {Object.keys(partStats.byBehavior).length > 0 && (
+                  <>
+                    <h4 className="font-semibold text-slate-700 mt-4 mb-2">By Day Part</h4>
+                    <DayPartTable
+                      parts={dayParts}
+                      stats={partStats}
+                      behaviors={shownBehaviors}
+                      byId={byId}
+                    />
+                  </>
+                )}
+
+                {reportMode !== "day" && (
+                  <>
+                    <h4 className="font-semibold text-slate-700 mt-4 mb-2">Weekday Heatmap</h4>
+                    <WeekdayHeatmap heatmap={heatmap} />
+                  </>
+                )}
               </div>
 
               <div className="space-y-4">
                 <h4 className="font-semibold text-slate-700">
                   Daily Totals ({reportMode})
                 </h4>
-                <div className="w-full h-64">
+                <div ref={barRef} className="w-full h-64">
                   <ResponsiveContainer>
-                    <BarChart
-                      data={dailySeries}
+                    <ComposedChart
+                      data={trendSeries}
                       margin={{ top: 10, right: 10, left: 0, bottom: 10 }}
                     >
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="date" />
                       <YAxis allowDecimals={false} />
                       <Tooltip />
-                      <Bar dataKey="total" />
-                    </BarChart>
+                      <Bar
+                        dataKey="total"
+                        cursor="pointer"
+                        name="Total"
+                        onClick={(d) => setDrillDate(d.payload?.dateFull || d.dateFull)}
+                      />
+                      {trendWindow && (
+                        <Line
+                          type="monotone"
+                          dataKey="avg"
+                          name={`${trendWindow}-day average`}
+                          stroke="#f59e0b"
+                          strokeWidth={2}
+                          dot={false}
+                        />
+                      )}
+                    </ComposedChart>
                   </ResponsiveContainer>
                 </div>
+                <div className="text-xs text-slate-400">
+                  Click a bar to see that day’s notes and photos.
+                </div>
 
-                <h4 className="font-semibold text-slate-700">Pie</h4>
-                <MonthlyPie
-                  behaviors={behaviors}
-                  byBehavior={periodStats.byBehavior}
-                />
+                <div className="flex items-center justify-between">
+                  <h4 className="font-semibold text-slate-700">Pie</h4>
+                  <select
+                    className="border rounded-xl px-2 py-1 text-sm"
+                    value={pieGroupBy}
+                    onChange={(e) => setPieGroupBy(e.target.value)}
+                  >
+                    <option value="behavior">By behavior</option>
+                    <option value="category">By category</option>
+                  </select>
+                </div>
+                <div ref={pieRef}>
+                  <MonthlyPie
+                    behaviors={shownBehaviors}
+                    byBehavior={periodStats.byBehavior}
+                    groupBy={pieGroupBy}
+                  />
+                </div>
 
                 <h4 className="font-semibold text-slate-700">Reward Tiers</h4>
-                {rewardTiers.map((t) => (
+                {periodProgress.sorted.map((t) => (
                   <div
                     key={t.id}
                     className={`flex items-center justify-between border rounded-xl px-3 py-2 ${
-                      periodStats.total >= t.min
+                      t.target != null && periodStats.total >= t.target
                         ? "bg-emerald-50 border-emerald-200"
                         : "bg-white"
                     }`}
@@ -674,7 +6001,10 @@ function TrackerApp({ user, profile }) {
                       <span>{t.emoji}</span>
                       <span className="font-medium">{t.label}</span>
                     </div>
-                    <span className="text-slate-600 text-sm">{t.min} pts</span>
+                    <span className="text-slate-600 text-sm">
+                      {t.target ?? "–"} pts
+                      {t.pct != null && <span className="text-slate-400"> ({t.pct}%)</span>}
+                    </span>
                   </div>
                 ))}
 
@@ -683,57 +6013,294 @@ function TrackerApp({ user, profile }) {
                     Current tier: <b>{currentTier.label}</b>
                   </div>
                 ) : (
-                  <div className="mt-2 text-slate-600 text-sm">
-                    Keep going to reach Bronze!
-                  </div>
+                  periodProgress.next && (
+                    <div className="mt-2 text-slate-600 text-sm">
+                      Keep going to reach {periodProgress.next.label}!
+                    </div>
+                  )
                 )}
+                <GoalProgress
+                  progress={periodProgress}
+                  total={periodStats.total}
+                  possible={periodPossible}
+                />
+
+                <h4 className="font-semibold text-slate-700">Achievements</h4>
+                <BadgeList
+                  badges={badges.filter((b) => b.date >= range.start && b.date <= range.end)}
+                  empty="No badges earned in this period."
+                />
               </div>
             </div>
           </Card>
         )}
 
-        {activeTab === "settings" && (
-          <Card title="Parent Settings">
-            <div className="grid md:grid-cols-2 gap-4">
+        {activeTab === "family" && (
+          <FamilyDashboard
+            fid={fid}
+            profile={profile}
+            reportMode={reportMode}
+            reportDate={reportDate}
+            onModeChange={setReportMode}
+            onDateChange={setReportDate}
+            range={range}
+            rollupsReady={rollupsReady}
+          />
+        )}
+
+        {activeTab === "report" && drillDate && (
+          <DayDetail
+            fid={fid}
+            childId={childId}
+            date={drillDate}
+            byId={byId}
+            onClose={() => setDrillDate(null)}
+          />
+        )}
+
+        {activeTab === "report" && (
+          <IncidentSummary
+            incidents={periodIncidents}
+            dayParts={dayParts}
+            label={periodStats.label || ""}
+          />
+        )}
+
+        {activeTab === "incidents" && (
+          <IncidentLog
+            key={childId}
+            fid={fid}
+            user={user}
+            profile={profile}
+            childId={childId}
+            childName={childName}
+            date={date}
+            behaviors={behaviors}
+            byId={byId}
+            canLog={canLog}
+            canManage={can(role, "settings")}
+          />
+        )}
+
+        {activeTab === "rewards" && (
+          <Card
+            title="Rewards"
+            right={
+              <Ribbon
+                text={`Available: ${balance} pts`}
+                color="border-amber-200 text-amber-700"
+              />
+            }
+          >
+            <div className="grid md:grid-cols-2 gap-6">
               <div>
-                <h4 className="font-semibold mb-2">Children</h4>
+                <h4 className="font-semibold text-slate-700 mb-2">Catalog</h4>
                 <ul className="space-y-2">
-                  {profile.children.map((c, i) => (
+                  {rewards.map((r) => (
                     <li
-                      key={c.id}
+                      key={r.id}
                       className="flex items-center justify-between border rounded-xl px-3 py-2"
                     >
-                      <span>{c.name}</span>
-                      <div className="flex gap-2">
+                      <span className="text-sm text-slate-700">
+                        {r.emoji} {r.label}
+                      </span>
+                      <div className="flex items-center gap-2">
+                        <span className="text-sm text-slate-500">{r.cost} pts</span>
                         <Btn
-                          onClick={async () => {
-                            const n = prompt("Rename child", c.name);
-                            if (!n) return;
-                            await updateProfile((p) => {
-                              p.children[i].name = n;
-                            });
-                          }}
+                          className="border-amber-300 text-amber-700 disabled:opacity-40"
+                          disabled={!can(role, "rewards") || balance < r.cost}
+                          onClick={() => redeemReward(r)}
                         >
-                          Rename
+                          Redeem
                         </Btn>
-                        {profile.children.length > 1 && (
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+                {rewards.length === 0 && (
+                  <div className="text-sm text-slate-500">
+                    No rewards yet. Add some in Settings.
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <h4 className="font-semibold text-slate-700 mb-2">Redeemed</h4>
+                <ul className="space-y-2 max-h-72 overflow-auto pr-1">
+                  {ledger
+                    .filter((r) => r.type === "redeem")
+                    .map((r) => (
+                      <li
+                        key={r.id}
+                        className="flex items-center justify-between border rounded-xl px-3 py-2"
+                      >
+                        <span className="text-sm text-slate-700">
+                          {r.emoji} {r.label}
+                          <span className="text-slate-400"> · {r.date}</span>
+                        </span>
+                        <span className="text-sm font-semibold text-rose-700">
+                          {r.points}
+                        </span>
+                      </li>
+                    ))}
+                </ul>
+                <div className="mt-2 text-xs text-slate-500">
+                  Earned all-time: {earnedAll} pts
+                </div>
+              </div>
+            </div>
+          </Card>
+        )}
+
+        {activeTab === "rewards" && (
+          <Card
+            title="Points Ledger"
+            right={
+              <div className="flex gap-2">
+                {can(role, "rewards") && (
+                  <Btn onClick={adjustBalance}>± Adjust</Btn>
+                )}
+                <Btn
+                  className="border-indigo-300 text-indigo-700"
+                  onClick={() => {
+                    const safeName = childName.replace(/[^\w-]+/g, "_");
+                    downloadTextFile(
+                      `kids_ledger_${safeName}.csv`,
+                      buildLedgerCSV({ childName, rows: ledgerRows })
+                    );
+                  }}
+                >
+                  ⬇️ Export
+                </Btn>
+              </div>
+            }
+          >
+            <ul className="divide-y max-h-96 overflow-auto pr-1">
+              {ledgerRows.map((r) => (
+                <li
+                  key={r.id}
+                  className="flex items-center justify-between py-2 text-sm"
+                >
+                  <span className="text-slate-700">
+                    <span className="text-slate-400 mr-2">{r.date}</span>
+                    {ledgerLabel(r)}
+                  </span>
+                  <span
+                    className={`font-semibold ${
+                      (r.points || 0) >= 0 ? "text-emerald-700" : "text-rose-700"
+                    }`}
+                  >
+                    {(r.points || 0) > 0 ? `+${r.points}` : r.points || 0}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            {ledgerRows.length === 0 && (
+              <div className="text-sm text-slate-500">No points recorded yet.</div>
+            )}
+          </Card>
+        )}
+
+        {activeTab === "settings" && store.mode === "local" && (
+          <Card title="Family Members">
+            <div className="text-sm text-slate-600">
+              This tracker is saved on this device only. Sharing it with a
+              co-parent or caregiver needs a cloud account
+              {hasCloudConfig && " — your data can be copied there after you sign in"}.
+            </div>
+          </Card>
+        )}
+
+        {activeTab === "settings" && store.mode === "cloud" && (
+          <FamilyMembers user={user} fid={fid} role={role} profile={profile} />
+        )}
+
+        {activeTab === "settings" && (
+          <NotificationSettings user={user} settings={notifySettings} />
+        )}
+
+        {activeTab === "settings" && can(role, "settings") && (
+          <Card title="Parent Settings">
+            <div className="grid md:grid-cols-2 gap-4">
+              <div>
+                <h4 className="font-semibold mb-2">Children</h4>
+                <ul className="space-y-2">
+                  {profile.children.map((c, i) => isArchived(c) ? null : (
+                    <li key={c.id} className="border rounded-xl px-3 py-2">
+                      <div className="flex items-center justify-between">
+                        <span>{c.name}</span>
+                        <div className="flex gap-2">
+                          <Btn
+                            onClick={() =>
+                              setEditingChildId(editingChildId === c.id ? null : c.id)
+                            }
+                          >
+                            Behaviors
+                          </Btn>
                           <Btn
-                            className="text-rose-700"
                             onClick={async () => {
-                              if (!confirm("Remove child?")) return;
+                              const n = prompt("Rename child", c.name);
+                              if (!n) return;
                               await updateProfile((p) => {
-                                p.children = p.children.filter(
-                                  (x) => x.id !== c.id
-                                );
+                                p.children[i].name = n;
                               });
-                              if (c.id === childId)
-                                setChildId(profile.children[0]?.id);
                             }}
                           >
-                            Remove
+                            Rename
                           </Btn>
-                        )}
+                          {activeChildren(profile).length > 1 && (
+                            <Btn className="text-rose-700" onClick={() => archiveChild(c)}>
+                              Archive
+                            </Btn>
+                          )}
+                        </div>
                       </div>
+                      {editingChildId === c.id && (
+                        <div className="mt-2 space-y-1 text-sm">
+                          <label className="flex items-center gap-2">
+                            <input
+                              type="checkbox"
+                              checked={c.useShared !== false}
+                              onChange={(e) =>
+                                updateProfile((p) => {
+                                  p.children[i].useShared = e.target.checked;
+                                })
+                              }
+                            />
+                            {`Shared base set (${
+                              profile.behaviors.filter(
+                                (b) => b.enabled && !isArchived(b) && isShared(b)
+                              ).length
+                            } behaviors)`}
+                          </label>
+                          {profile.behaviors
+                            .filter((b) => b.enabled && !isArchived(b) && !isShared(b))
+                            .map((b) => (
+                              <label key={b.id} className="flex items-center gap-2 pl-4">
+                                <input
+                                  type="checkbox"
+                                  checked={(c.behaviorIds || []).includes(b.id)}
+                                  onChange={(e) =>
+                                    updateProfile((p) => {
+                                      const ids = new Set(p.children[i].behaviorIds || []);
+                                      if (e.target.checked) ids.add(b.id);
+                                      else ids.delete(b.id);
+                                      p.children[i].behaviorIds = [...ids];
+                                    })
+                                  }
+                                />
+                                {b.label}
+                              </label>
+                            ))}
+                          {profile.behaviors.every(
+                            (b) => !b.enabled || isArchived(b) || isShared(b)
+                          ) && (
+                            <div className="pl-4 text-xs text-slate-500">
+                              Mark a behavior as “Per-child” to assign it to specific children.
+                            </div>
+                          )}
+                        </div>
+                      )}
                     </li>
                   ))}
                 </ul>
@@ -750,52 +6317,147 @@ function TrackerApp({ user, profile }) {
                 >
                   + Add Child
                 </Btn>
+                <ArchivedList
+                  items={profile.children.filter(isArchived)}
+                  label={(c) => c.name}
+                  deleting={deleting}
+                  onRestore={(c) => restoreArchived("children", c.id)}
+                  onDelete={deleteChild}
+                />
               </div>
 
               <div>
                 <h4 className="font-semibold mb-2">Behaviors</h4>
                 <ul className="space-y-2 max-h-72 overflow-auto pr-1">
-                  {profile.behaviors.map((b, i) => (
-                    <li
-                      key={b.id}
-                      className="flex items-center justify-between border rounded-xl px-3 py-2"
-                    >
-                      <span className={!b.enabled ? "line-through text-slate-400" : ""}>
-                        {b.label}
-                      </span>
-                      <div className="flex gap-2 items-center">
-                        <Btn
-                          onClick={async () => {
-                            const n = prompt("Rename behavior", b.label);
-                            if (!n) return;
+                  {profile.behaviors.map((b, i) => isArchived(b) ? null : (
+                    <li key={b.id} className="border rounded-xl px-3 py-2">
+                      <div className="flex items-center justify-between">
+                        <span className={!b.enabled ? "line-through text-slate-400" : ""}>
+                          {behaviorIcon(b)} {b.label}
+                        </span>
+                        <div className="flex gap-2 items-center">
+                          <Btn
+                            onClick={async () => {
+                              const n = prompt("Rename behavior", b.label);
+                              if (!n) return;
+                              await updateProfile((p) => {
+                                p.behaviors[i].label = n;
+                              });
+                            }}
+                          >
+                            Rename
+                          </Btn>
+                          <Btn
+                            onClick={async () => {
+                              await updateProfile((p) => {
+                                p.behaviors[i].enabled = !p.behaviors[i].enabled;
+                              });
+                            }}
+                          >
+                            {b.enabled ? "Disable" : "Enable"}
+                          </Btn>
+                          <Btn
+                            title="Shared behaviors apply to every child using the base set"
+                            onClick={async () => {
+                              await updateProfile((p) => {
+                                p.behaviors[i].shared = !isShared(p.behaviors[i]);
+                              });
+                            }}
+                          >
+                            {isShared(b) ? "Shared" : "Per-child"}
+                          </Btn>
+                          <Btn className="text-rose-700" onClick={() => archiveBehavior(b)}>
+                            Archive
+                          </Btn>
+                        </div>
+                      </div>
+                      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-500">
+                        <select
+                          className="border rounded-lg px-2 py-1 text-sm"
+                          value={behaviorCategory(b)}
+                          onChange={async (e) => {
+                            let cat = e.target.value;
+                            if (cat === "__new") {
+                              cat = prompt("New category name")?.trim();
+                              if (!cat) return;
+                            }
                             await updateProfile((p) => {
-                              p.behaviors[i].label = n;
+                              p.behaviors[i].category = cat;
                             });
                           }}
                         >
-                          Rename
-                        </Btn>
+                          {[...categories, uncategorized]
+                            .filter((c, j, all) => all.indexOf(c) === j)
+                            .map((c) => (
+                              <option key={c} value={c}>
+                                {c}
+                              </option>
+                            ))}
+                          <option value="__new">+ New category…</option>
+                        </select>
                         <Btn
+                          className="px-2 py-1"
+                          title="Change icon"
                           onClick={async () => {
+                            const n = prompt("Icon (emoji)", behaviorIcon(b));
+                            if (!n) return;
                             await updateProfile((p) => {
-                              p.behaviors[i].enabled = !p.behaviors[i].enabled;
+                              p.behaviors[i].icon = n.trim();
                             });
                           }}
                         >
-                          {b.enabled ? "Disable" : "Enable"}
+                          {behaviorIcon(b)}
                         </Btn>
-                        <Btn
-                          className="text-rose-700"
-                          onClick={async () => {
-                            await updateProfile((p) => {
-                              p.behaviors = p.behaviors.filter(
-                                (x) => x.id !== b.id
-                              );
+                        <input
+                          key={behaviorColor(b)}
+                          type="color"
+                          title="Color"
+                          className="h-7 w-8 border rounded-lg"
+                          defaultValue={behaviorColor(b)}
+                          onBlur={(e) => {
+                            if (e.target.value === behaviorColor(b)) return;
+                            updateProfile((p) => {
+                              p.behaviors[i].color = e.target.value;
                             });
                           }}
-                        >
-                          Delete
-                        </Btn>
+                        />
+                        <MeasureEditor
+                          behavior={b}
+                          onChange={(patch) =>
+                            updateProfile((p) => {
+                              Object.entries(patch).forEach(([k, v]) => {
+                                if (v === null) delete p.behaviors[i][k];
+                                else p.behaviors[i][k] = v;
+                              });
+                            })
+                          }
+                        />
+                      </div>
+                      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-500">
+                        <ScheduleEditor
+                          schedule={b.schedule}
+                          onChange={(schedule) =>
+                            updateProfile((p) => {
+                              if (schedule) p.behaviors[i].schedule = schedule;
+                              else delete p.behaviors[i].schedule;
+                            })
+                          }
+                        />
+                        {dayParts.length > 0 && (
+                          <label className="flex items-center gap-1">
+                            <input
+                              type="checkbox"
+                              checked={!!b.byPart}
+                              onChange={(e) =>
+                                updateProfile((p) => {
+                                  if (e.target.checked) p.behaviors[i].byPart = true;
+                                  else delete p.behaviors[i].byPart;
+                                })
+                              }
+                            />
+                            Per day part
+                          </label>
+                        )}
                       </div>
                     </li>
                   ))}
@@ -816,23 +6478,106 @@ function TrackerApp({ user, profile }) {
                 >
                   + Add Behavior
                 </Btn>
+                <ArchivedList
+                  items={profile.behaviors.filter(isArchived)}
+                  label={(b) => `${behaviorIcon(b)} ${b.label}`}
+                  deleting={deleting}
+                  onRestore={(b) => restoreArchived("behaviors", b.id)}
+                  onDelete={deleteBehavior}
+                />
               </div>
             </div>
 
             <div className="mt-6">
-              <h4 className="font-semibold mb-2">Reward Tiers (points only)</h4>
-              <div className="grid grid-cols-3 gap-3">
-                {rewardTiers.map((t) => (
-                  <div key={t.id} className="border rounded-xl p-3 text-center">
-                    <div className="text-2xl">{t.emoji}</div>
-                    <div className="font-semibold">{t.label}</div>
-                    <div className="text-slate-500 text-sm">{t.min} pts</div>
-                  </div>
-                ))}
+              <h4 className="font-semibold mb-2">School Terms</h4>
+              <TermEditor
+                terms={profile.schoolTerms || []}
+                onSave={(next) =>
+                  updateProfile((p) => {
+                    p.schoolTerms = next;
+                  })
+                }
+              />
+            </div>
+
+            <div className="mt-6">
+              <h4 className="font-semibold mb-2">Day Parts</h4>
+              <DayPartEditor
+                parts={dayParts}
+                onSave={(next) =>
+                  updateProfile((p) => {
+                    p.dayParts = next;
+                  })
+                }
+              />
+            </div>
+
+            <div className="mt-6">
+              <h4 className="font-semibold mb-2">Kid Mode</h4>
+              <div className="flex items-center gap-3 text-sm text-slate-600">
+                <span>
+                  {profile.parentPinHash
+                    ? "A parent PIN is set."
+                    : "No PIN yet — you'll be asked for one the first time."}
+                </span>
+                <Btn
+                  onClick={async () => {
+                    const pin = prompt("New parent PIN (4+ digits)");
+                    if (!pin || pin.length < 4) return;
+                    if (prompt("Repeat the PIN") !== pin) return alert("PINs didn't match.");
+                    const parentPinHash = await hashPin(fid, pin);
+                    updateProfile((p) => {
+                      p.parentPinHash = parentPinHash;
+                    });
+                  }}
+                >
+                  {profile.parentPinHash ? "Change PIN" : "Set PIN"}
+                </Btn>
               </div>
             </div>
+
+            <div className="mt-6">
+              <h4 className="font-semibold mb-2">Reward Tiers (points per period)</h4>
+              <TierEditor
+                tiers={tiers}
+                onSave={(next) =>
+                  updateProfile((p) => {
+                    p.rewardTiers = next;
+                  })
+                }
+              />
+            </div>
+
+            <div className="mt-6">
+              <h4 className="font-semibold mb-2">Custom Achievements</h4>
+              <AchievementRuleEditor
+                rules={profile.achievementRules || []}
+                behaviors={profile.behaviors}
+                onSave={(next) =>
+                  updateProfile((p) => {
+                    p.achievementRules = next;
+                  })
+                }
+              />
+            </div>
+
+            <div className="mt-6">
+              <h4 className="font-semibold mb-2">Rewards Catalog</h4>
+              <RewardCatalogEditor
+                rewards={rewards}
+                onSave={(next) =>
+                  updateProfile((p) => {
+                    p.rewards = next;
+                  })
+                }
+              />
+            </div>
           </Card>
         )}
+
+        {activeTab === "settings" && can(role, "settings") && (
+          <BackupRestore fid={fid} user={user} profile={profile} />
+        )}
       </div>
     </div>
   );
@@ -840,36 +6585,61 @@ function TrackerApp({ user, profile }) {
 
 export default function App() {
   const [fbUser, setFbUser] = useState(null);
-  const [profile, setProfile] = useState(null);
+  const [account, setAccount] = useState(null); // users/{uid}
+  const [family, setFamily] = useState(null); // users/{familyId} when joined
+
+  useEffect(
+    () =>
+      store.onAuth((u) => {
+        setFbUser(u || null);
+        if (!u) setAccount(null);
+      }),
+    []
+  );
 
   useEffect(() => {
-    const unsub = onAuthStateChanged(auth, async (u) => {
-      setFbUser(u || null);
-      if (!u) {
-        setProfile(null);
-        return;
-      }
-      const ref = doc(db, "users", u.uid);
-      return onSnapshot(ref, async (snap) => {
-        if (snap.exists()) setProfile(snap.data());
-        else {
-          await setDoc(ref, {
-            email: u.email,
-            children: defaultChildren,
-            behaviors: defaultBehaviors,
-          });
-          setProfile({
-            email: u.email,
+    if (!fbUser) return;
+    const path = `users/${fbUser.uid}`;
+    return store.watch(path, async (data) => {
+      if (data) setAccount(data);
+      else {
+        // merge: a signup joining a family may have written familyId already
+        await store.set(
+          path,
+          {
+            email: fbUser.email,
             children: defaultChildren,
             behaviors: defaultBehaviors,
-          });
-        }
-      });
+          },
+          { merge: true }
+        );
+        setAccount({
+          email: fbUser.email,
+          children: defaultChildren,
+          behaviors: defaultBehaviors,
+        });
+      }
     });
-    return () => unsub();
-  }, []);
+  }, [fbUser]);
+
+  const familyId = account?.familyId || fbUser?.uid;
+  const joined = !!fbUser && !!account && familyId !== fbUser.uid;
+
+  useEffect(() => {
+    if (!joined) return;
+    const unsub = store.watch(
+      `users/${familyId}`,
+      (data) => setFamily(data || { lost: true }),
+      () => setFamily({ lost: true })
+    );
+    return () => {
+      unsub();
+      setFamily(null);
+    };
+  }, [joined, familyId]);
 
   if (!fbUser) return <Login />;
+  const profile = joined ? family : account;
   if (!profile)
     return (
       <div className="min-h-screen grid place-items-center text-slate-600">
@@ -877,5 +6647,36 @@ export default function App() {
       </div>
     );
 
-  return <TrackerApp user={fbUser} profile={profile} />;
-}
\ No newline at end of file
+  const role = joined ? profile.members?.[fbUser.uid]?.role : "owner";
+  if (!role)
+    return (
+      <div className="min-h-screen grid place-items-center text-slate-600">
+        <div className="text-center space-y-3">
+          <div>You no longer have access to this family.</div>
+          <div className="flex gap-2 justify-center">
+            <Btn
+              onClick={() =>
+                leaveFamily(fbUser, familyId).catch((e) =>
+                  alert(`Couldn't switch to your own account: ${e.message}`)
+                )
+              }
+            >
+              Use my own account
+            </Btn>
+            <Btn onClick={signOutAndStopReminders}>Logout</Btn>
+          </div>
+        </div>
+      </div>
+    );
+
+  return (
+    <TrackerApp
+      key={familyId}
+      user={fbUser}
+      fid={familyId}
+      role={role}
+      profile={profile}
+      notifications={account?.notifications}
+    />
+  );
+}
@@ -0,0 +1,382 @@
+// Data access layer. App code reads and writes through the store returned by
+// createStore(): Firestore (optionally the local Firebase emulators) for cloud
+// families, or IndexedDB for families keeping everything on one device.
+// Paths are Firestore-style strings, e.g. "users/{uid}/entries/{id}";
+// filters are [field, op, value] triples with op "==", "<", "<=", ">" or ">=".
+import { initializeApp } from "firebase/app";
+import {
+  getAuth,
+  connectAuthEmulator,
+  onAuthStateChanged,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  sendPasswordResetEmail,
+  signOut,
+} from "firebase/auth";
+import {
+  initializeFirestore,
+  connectFirestoreEmulator,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  waitForPendingWrites,
+  doc,
+  setDoc,
+  addDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  deleteField as fsDeleteField,
+  onSnapshot,
+  collection,
+  query,
+  where,
+  writeBatch,
+  arrayUnion as fsArrayUnion,
+  arrayRemove as fsArrayRemove,
+} from "firebase/firestore";
+import {
+  getStorage,
+  connectStorageEmulator,
+  ref as storageRef,
+  uploadBytes,
+  getDownloadURL,
+  deleteObject,
+} from "firebase/storage";
+
+/******************************
+ * Backend selection
+ ******************************/
+const env = import.meta.env;
+// e.g. VITE_FB_EMULATOR_HOST=localhost with `firebase emulators:start`
+const emulatorHost = env.VITE_FB_EMULATOR_HOST;
+export const hasCloudConfig = !!(env.VITE_FB_API_KEY || emulatorHost);
+
+const storageModeKey = "storageMode";
+
+// "cloud" or "local"; without Firebase credentials only local is possible.
+export function storageMode() {
+  if (!hasCloudConfig) return "local";
+  return localStorage.getItem(storageModeKey) === "local" ? "local" : "cloud";
+}
+
+// The backend is picked once at startup, so switching reloads the app.
+export function switchStorageMode(mode) {
+  localStorage.setItem(storageModeKey, mode);
+  window.location.reload();
+}
+
+// `onError` receives failures of watches that don't pass their own handler.
+export function createStore({ onError } = {}) {
+  return storageMode() === "local"
+    ? createLocalStore({ onError })
+    : createCloudStore({ onError });
+}
+
+/******************************
+ * Field operations
+ ******************************/
+// Backend-neutral stand-ins for Firestore's FieldValue sentinels.
+class FieldOp {
+  constructor(kind, values = []) {
+    this.kind = kind;
+    this.values = values;
+  }
+
+  // New value for a field currently holding `cur`; undefined removes it.
+  apply(cur) {
+    if (this.kind === "delete") return undefined;
+    const list = Array.isArray(cur) ? cur : [];
+    const has = (arr, v) => arr.some((x) => JSON.stringify(x) === JSON.stringify(v));
+    if (this.kind === "union")
+      return this.values.reduce((acc, v) => (has(acc, v) ? acc : [...acc, v]), list);
+    return list.filter((x) => !has(this.values, x));
+  }
+}
+
+export const deleteField = () => new FieldOp("delete");
+export const arrayUnion = (...values) => new FieldOp("union", values);
+export const arrayRemove = (...values) => new FieldOp("remove", values);
+
+const isPlain = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v) && !(v instanceof FieldOp);
+
+/******************************
+ * Firestore backend
+ ******************************/
+function createCloudStore({ onError: watchError }) {
+  const app = initializeApp({
+    apiKey: env.VITE_FB_API_KEY || "demo-key",
+    authDomain: env.VITE_FB_AUTH_DOMAIN,
+    // emulators accept any "demo-" project without a real one behind it
+    projectId: env.VITE_FB_PROJECT_ID || "demo-kids-tracker",
+    storageBucket: env.VITE_FB_STORAGE_BUCKET || "demo-kids-tracker.appspot.com",
+    messagingSenderId: env.VITE_FB_MSG_SENDER_ID,
+    appId: env.VITE_FB_APP_ID,
+  });
+  const auth = getAuth(app);
+  // Offline persistence: reads come from the local cache and writes queue
+  // until the connection is back.
+  const db = initializeFirestore(app, {
+    localCache: persistentLocalCache({
+      tabManager: persistentMultipleTabManager(),
+    }),
+  });
+  const storage = getStorage(app);
+
+  if (emulatorHost) {
+    connectAuthEmulator(auth, `http://${emulatorHost}:9099`, { disableWarnings: true });
+    connectFirestoreEmulator(db, emulatorHost, 8080);
+    connectStorageEmulator(storage, emulatorHost, 9199);
+  }
+
+  const ref = (path) => doc(db, path);
+  const toFirestore = (v) => {
+    if (v instanceof FieldOp) {
+      if (v.kind === "delete") return fsDeleteField();
+      return v.kind === "union" ? fsArrayUnion(...v.values) : fsArrayRemove(...v.values);
+    }
+    if (Array.isArray(v)) return v.map(toFirestore);
+    if (isPlain(v)) return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, toFirestore(x)]));
+    return v;
+  };
+  const toQuery = (path, filters = []) =>
+    query(collection(db, path), ...filters.map(([f, op, v]) => where(f, op, v)));
+  const docsOf = (snap) => snap.docs.map((d) => ({ id: d.id, data: d.data() }));
+
+  return {
+    mode: "cloud",
+    newId: (path) => doc(collection(db, path)).id,
+    get: async (path) => {
+      const snap = await getDoc(ref(path));
+      return snap.exists() ? snap.data() : null;
+    },
+    list: async (path, filters) => docsOf(await getDocs(toQuery(path, filters))),
+    watch: (path, cb, onError = watchError) =>
+      onSnapshot(ref(path), (snap) => cb(snap.exists() ? snap.data() : null), onError),
+    watchList: (path, filters, cb, onError = watchError) =>
+      onSnapshot(toQuery(path, filters), (snap) => cb(docsOf(snap)), onError),
+    set: (path, data, opts = {}) => setDoc(ref(path), toFirestore(data), opts),
+    update: (path, patch) => updateDoc(ref(path), toFirestore(patch)),
+    add: async (path, data) => (await addDoc(collection(db, path), toFirestore(data))).id,
+    remove: (path) => deleteDoc(ref(path)),
+    batch: () => {
+      const b = writeBatch(db);
+      const api = {
+        set: (path, data, opts = {}) => (b.set(ref(path), toFirestore(data), opts), api),
+        update: (path, patch) => (b.update(ref(path), toFirestore(patch)), api),
+        remove: (path) => (b.delete(ref(path)), api),
+        commit: () => b.commit(),
+      };
+      return api;
+    },
+    pendingWrites: () => waitForPendingWrites(db),
+
+    upload: async (path, file) => {
+      const r = storageRef(storage, path);
+      await uploadBytes(r, file, { contentType: file.type });
+      return getDownloadURL(r);
+    },
+    removeFile: (path) => deleteObject(storageRef(storage, path)),
+
+    onAuth: (cb) => onAuthStateChanged(auth, cb),
+    signIn: async (email, pw) => (await signInWithEmailAndPassword(auth, email, pw)).user,
+    signUp: async (email, pw) => (await createUserWithEmailAndPassword(auth, email, pw)).user,
+    resetPassword: (email) => sendPasswordResetEmail(auth, email),
+    signOut: () => signOut(auth),
+  };
+}
+
+/******************************
+ * IndexedDB backend
+ ******************************/
+// Every document is one record { path, parent, data } in the "docs" store,
+// indexed by its collection path. There is a single implicit user.
+export const localUser = { uid: "local", email: "", isLocal: true };
+const localDbName = "kids-behavior-tracker";
+
+// Field writes with Firestore semantics: nested maps merge, FieldOps apply.
+function setIn(obj, [key, ...rest], value, deep) {
+  const out = { ...(obj || {}) };
+  let next;
+  if (rest.length) next = setIn(isPlain(out[key]) ? out[key] : {}, rest, value, deep);
+  else if (value instanceof FieldOp) next = value.apply(out[key]);
+  else if (isPlain(value)) next = mergeFields(deep && isPlain(out[key]) ? out[key] : {}, value, deep);
+  else next = value;
+  if (next === undefined) delete out[key];
+  else out[key] = next;
+  return out;
+}
+const mergeFields = (target, patch, deep) =>
+  Object.entries(patch).reduce((acc, [k, v]) => setIn(acc, [k], v, deep), target || {});
+
+function applyWrite(existing, op) {
+  if (op.type === "set") return mergeFields(op.merge ? existing : {}, op.data, true);
+  if (!existing) throw new Error(`No document to update: ${op.path}`);
+  // update() replaces top-level fields; dotted keys reach into maps
+  return Object.entries(op.data).reduce(
+    (acc, [k, v]) => setIn(acc, k.split("."), v, false),
+    existing
+  );
+}
+
+const matches = (data, filters = []) =>
+  filters.every(([f, op, v]) => {
+    const x = data[f];
+    if (op === "==") return x === v;
+    if (op === "<") return x < v;
+    if (op === "<=") return x <= v;
+    if (op === ">") return x > v;
+    if (op === ">=") return x >= v;
+    throw new Error(`Unsupported filter: ${op}`);
+  });
+
+const parentOf = (path) => path.slice(0, path.lastIndexOf("/"));
+const idOf = (path) => path.slice(path.lastIndexOf("/") + 1);
+const request = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+function openLocalDb() {
+  const req = indexedDB.open(localDbName, 1);
+  req.onupgradeneeded = () =>
+    req.result.createObjectStore("docs", { keyPath: "path" }).createIndex("parent", "parent");
+  return request(req);
+}
+
+// True when this device has tracker data saved in local mode.
+export async function hasLocalData() {
+  const dbs = await indexedDB.databases?.();
+  if (dbs && !dbs.some((d) => d.name === localDbName)) return false;
+  const local = createLocalStore();
+  try {
+    return !!(await local.get(`users/${localUser.uid}`));
+  } finally {
+    local.close();
+  }
+}
+
+export function createLocalStore({ onError: watchError = () => {} } = {}) {
+  const dbReady = openLocalDb();
+  const listeners = new Set(); // { path, filters?, list, cb }
+  // other tabs of the app refresh their listeners after our writes
+  const channel = "BroadcastChannel" in window ? new BroadcastChannel(localDbName) : null;
+
+  const get = async (path) => {
+    const db = await dbReady;
+    const rec = await request(db.transaction("docs").objectStore("docs").get(path));
+    return rec ? rec.data : null;
+  };
+  const list = async (path, filters) => {
+    const db = await dbReady;
+    const index = db.transaction("docs").objectStore("docs").index("parent");
+    const recs = await request(index.getAll(path));
+    return recs
+      .filter((r) => matches(r.data, filters))
+      .map((r) => ({ id: idOf(r.path), data: r.data }));
+  };
+
+  const load = (l) =>
+    (l.list ? list(l.path, l.filters) : get(l.path)).then(
+      (v) => listeners.has(l) && l.cb(v),
+      l.onError || watchError
+    );
+  const refresh = (paths) =>
+    listeners.forEach((l) => {
+      if (l.list ? paths.some((p) => parentOf(p) === l.path) : paths.includes(l.path)) load(l);
+    });
+  channel?.addEventListener("message", (e) => refresh(e.data));
+
+  // Applies writes atomically in one transaction, then notifies listeners.
+  const write = async (ops) => {
+    const db = await dbReady;
+    const tx = db.transaction("docs", "readwrite");
+    const docs = tx.objectStore("docs");
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    try {
+      for (const op of ops) {
+        if (op.type === "remove") {
+          docs.delete(op.path);
+          continue;
+        }
+        const rec = await request(docs.get(op.path));
+        docs.put({ path: op.path, parent: parentOf(op.path), data: applyWrite(rec?.data, op) });
+      }
+    } catch (e) {
+      // e.g. an update of a missing doc: none of the batch is kept
+      done.catch(() => {});
+      tx.abort();
+      throw e;
+    }
+    await done;
+    const paths = ops.map((op) => op.path);
+    refresh(paths);
+    channel?.postMessage(paths);
+  };
+
+  const watchWith = (l) => {
+    listeners.add(l);
+    load(l);
+    return () => listeners.delete(l);
+  };
+  const newId = () =>
+    Array.from(crypto.getRandomValues(new Uint8Array(15)), (b) => (b % 36).toString(36)).join("");
+
+  return {
+    mode: "local",
+    newId,
+    get,
+    list,
+    watch: (path, cb, onError) => watchWith({ path, cb, onError }),
+    watchList: (path, filters, cb, onError) => watchWith({ path, filters, list: true, cb, onError }),
+    set: (path, data, opts = {}) => write([{ type: "set", path, data, merge: opts.merge }]),
+    update: (path, data) => write([{ type: "update", path, data }]),
+    add: async (path, data) => {
+      const id = newId();
+      await write([{ type: "set", path: `${path}/${id}`, data }]);
+      return id;
+    },
+    remove: (path) => write([{ type: "remove", path }]),
+    batch: () => {
+      const ops = [];
+      const api = {
+        set: (path, data, opts = {}) => (ops.push({ type: "set", path, data, merge: opts.merge }), api),
+        update: (path, data) => (ops.push({ type: "update", path, data }), api),
+        remove: (path) => (ops.push({ type: "remove", path }), api),
+        commit: () => write(ops),
+      };
+      return api;
+    },
+    pendingWrites: () => Promise.resolve(),
+    // for short-lived stores, e.g. reading this device's data from a cloud session
+    close: () => {
+      channel?.close();
+      return dbReady.then((db) => db.close(), () => {});
+    },
+
+    // photos are kept inline as data URLs
+    upload: (path, file) =>
+      new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+      }),
+    removeFile: () => Promise.resolve(),
+
+    onAuth: (cb) => {
+      const t = setTimeout(() => cb(localUser));
+      return () => clearTimeout(t);
+    },
+    signIn: () => Promise.reject(new Error("Accounts need the cloud version.")),
+    signUp: () => Promise.reject(new Error("Accounts need the cloud version.")),
+    resetPassword: () => Promise.reject(new Error("Accounts need the cloud version.")),
+    signOut: () => Promise.resolve(),
+  };
+}
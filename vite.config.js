@@ -1,7 +1,22 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    VitePWA({
+      registerType: 'autoUpdate',
+      // public/manifest.json is linked from index.html already
+      manifest: false,
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,png,svg,ttf}'],
+        navigateFallback: 'index.html',
+        maximumFileSizeToCacheInBytes: 4 * 1024 * 1024,
+        // reminder notifications (periodic sync + notification clicks)
+        importScripts: ['reminders-sw.js'],
+      },
+    }),
+  ],
 })